@@ -0,0 +1,84 @@
+import { authenticate, keysFromEnv } from "../../lib/auth.js";
+import { listEvents } from "../../lib/events.js";
+import {
+  parseDateRange,
+  summarizeEvents,
+  summaryRows,
+  SUMMARY_COLUMNS,
+  eventRow,
+  EVENT_COLUMNS,
+} from "../../lib/analytics.js";
+import { toCsv } from "../../lib/csv.js";
+
+// GET /api/admin/analytics → usage and reliability of the valuer, from the
+// request event log. Needs an ADMIN_API_KEYS key.
+//
+// Query options:
+//   from=, to=            dates (to is inclusive) or ISO timestamps;
+//                         the last 30 days by default
+//   view=summary|events   aggregates (default) or the raw events
+//   format=json|csv
+
+const VIEWS = ["summary", "events"];
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  if (!authenticate(req, keysFromEnv("ADMIN_API_KEYS"))) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  const query = req.query || {};
+  const range = parseDateRange(query);
+  if (!range) {
+    return res.status(400).json({
+      error: "from and to must be dates (YYYY-MM-DD) or ISO timestamps, from before to",
+      code: "invalid_range",
+    });
+  }
+  const view = query.view ?? "summary";
+  if (!VIEWS.includes(view)) {
+    return res
+      .status(400)
+      .json({ error: "view must be summary or events", code: "invalid_view" });
+  }
+  const csv = String(query.format ?? "").toLowerCase() === "csv";
+
+  try {
+    const events = await listEvents(range);
+    const summary = view === "summary" ? summarizeEvents(events, range) : null;
+
+    res.setHeader("Cache-Control", "no-store");
+    if (csv) {
+      const day = (date) => date.toISOString().slice(0, 10);
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="valuer-${view}-${day(range.from)}-${day(range.to)}.csv"`
+      );
+      return res
+        .status(200)
+        .send(
+          summary
+            ? toCsv(summaryRows(summary), SUMMARY_COLUMNS)
+            : toCsv(events.map(eventRow), EVENT_COLUMNS)
+        );
+    }
+
+    return res.status(200).json(
+      summary
+        ? { ok: true, ...summary }
+        : {
+            ok: true,
+            from: range.from.toISOString(),
+            to: range.to.toISOString(),
+            events,
+          }
+    );
+  } catch (err) {
+    console.error("Analytics error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+}
@@ -0,0 +1,104 @@
+import { parseCsv } from "../lib/csv.js";
+import { isFalseFlag } from "../lib/input.js";
+import { authenticate, keysFromEnv, keyId } from "../lib/auth.js";
+import {
+  MAX_ROWS,
+  SYNC_MAX_ROWS,
+  createBatch,
+  getBatch,
+  runBatch,
+  queueBatch,
+  summarizeBatch,
+  batchStatusUrl,
+  wantsCsv,
+  sendBatchResults,
+} from "../lib/batch.js";
+
+// POST /api/batch → value a book of businesses for a partner broker.
+//
+// Body: CSV with the same columns the form sends, a JSON array of rows, or
+// { rows, sendEmails, format }. Send CSV as Content-Type: text/plain (or
+// application/octet-stream): Vercel's body parser leaves other types such
+// as text/csv undefined, so those are read from the request stream when it
+// is still unread. Query options:
+//   sendEmails=false  don't email the sellers listed in the rows
+//   format=csv|json   response format (defaults to the request's format)
+//
+// Up to BATCH_SYNC_MAX_ROWS rows are valued before responding. Larger
+// batches value their first chunk, then return 202 with a statusUrl to poll
+// while the job queue works through the rest.
+
+// The parsed body, or the raw text when the runtime didn't parse it
+async function readBody(req) {
+  if (req.body !== undefined) return req.body;
+  if (req.readableEnded || typeof req[Symbol.asyncIterator] !== "function") {
+    return undefined;
+  }
+  const chunks = [];
+  for await (const chunk of req) chunks.push(Buffer.from(chunk));
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+function readRows(body) {
+  if (Array.isArray(body)) return { rows: body, csv: false };
+  if (Array.isArray(body?.rows)) return { rows: body.rows, csv: false };
+  if (typeof body === "string" || Buffer.isBuffer(body)) {
+    return { rows: parseCsv(String(body)), csv: true };
+  }
+  if (typeof body?.csv === "string") return { rows: parseCsv(body.csv), csv: true };
+  return null;
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const key = authenticate(req, keysFromEnv("BROKER_API_KEYS"));
+  if (!key) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  try {
+    const body = await readBody(req);
+    const parsed = readRows(body);
+    if (!parsed || !parsed.rows.length) {
+      return res.status(400).json({
+        error: "Send a CSV file or a JSON array of rows",
+        code: "no_rows",
+      });
+    }
+    if (parsed.rows.length > MAX_ROWS) {
+      return res.status(413).json({
+        error: `A batch can hold at most ${MAX_ROWS} rows`,
+        code: "too_many_rows",
+      });
+    }
+
+    const sendEmails = !isFalseFlag(req.query?.sendEmails ?? body?.sendEmails);
+    const csv = wantsCsv(req, parsed.csv);
+    const batch = await createBatch({
+      rows: parsed.rows,
+      sendEmails,
+      owner: keyId(key),
+    });
+
+    if (batch.total <= SYNC_MAX_ROWS) {
+      await runBatch(batch.id, { maxRows: batch.total });
+      return sendBatchResults(res, await getBatch(batch.id), csv);
+    }
+
+    // Queue first so the batch carries on even if this invocation dies
+    // during the first chunk
+    await queueBatch(batch.id);
+    await runBatch(batch.id);
+    const latest = await getBatch(batch.id);
+
+    const statusUrl = `${batchStatusUrl(batch.id)}${csv ? "?format=csv" : ""}`;
+    res.setHeader("Location", statusUrl);
+    return res.status(202).json({ ok: true, ...summarizeBatch(latest), statusUrl });
+  } catch (err) {
+    console.error("Batch error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+}
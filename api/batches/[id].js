@@ -0,0 +1,36 @@
+import { authenticate, keysFromEnv, keyId } from "../../lib/auth.js";
+import {
+  getBatch,
+  summarizeBatch,
+  wantsCsv,
+  sendBatchResults,
+} from "../../lib/batch.js";
+
+// GET /api/batches/:id → progress of a batch; the results once it is done
+// (?format=csv for a spreadsheet). Only the key that created it can read it.
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const key = authenticate(req, keysFromEnv("BROKER_API_KEYS"));
+  if (!key) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  try {
+    const batch = await getBatch(req.query.id);
+    if (!batch || batch.owner !== keyId(key)) {
+      return res.status(404).json({ error: "Batch not found" });
+    }
+
+    if (batch.status !== "done") {
+      res.setHeader("Retry-After", "5");
+      return res.status(200).json({ ok: true, ...summarizeBatch(batch) });
+    }
+    return sendBatchResults(res, batch, wantsCsv(req, false));
+  } catch (err) {
+    console.error("Batch status error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+}
@@ -0,0 +1,41 @@
+import { getValuationRecord } from "../lib/records.js";
+import { readClickToken, ctaDestination } from "../lib/clicks.js";
+import { logEvent } from "../lib/events.js";
+
+// GET /api/click?token=… → log a CTA click with the valuation's experiment
+// variants, then redirect to the listing flow. A bad or expired token still
+// redirects (to the blank listing form) so the seller never hits a dead end.
+export default async function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const started = Date.now();
+  const click = readClickToken(req.query?.token);
+  let record = null;
+  if (click) {
+    try {
+      record = await getValuationRecord(click.valuationId);
+    } catch (err) {
+      console.error("Click lookup error:", err);
+    }
+  }
+
+  // Link previews and scanners send HEAD; only count real visits. Logged
+  // before redirecting, as the function may be frozen once it responds.
+  if (req.method === "GET") {
+    await logEvent({
+      route: "click",
+      started,
+      status: 302,
+      outcome: record ? "click" : "invalid_click",
+      valuationId: click?.valuationId || null,
+      link: click?.link || null,
+      experiments: record?.experiments || {},
+    });
+  }
+
+  res.setHeader("Cache-Control", "no-store");
+  res.setHeader("Location", ctaDestination(record));
+  return res.status(302).end();
+}
@@ -0,0 +1,32 @@
+import { runDueJobs, purgeFinishedJobs } from "../../lib/jobQueue.js";
+import { purgeOldEvents } from "../../lib/events.js";
+// Register the job handlers
+import "../../lib/followUps.js";
+import "../../lib/batch.js";
+import "../../lib/webhooks.js";
+
+// GET /api/cron/jobs → run queued jobs that are due (follow-up emails, batches,
+// webhook retries), then drop finished jobs and events past their retention.
+// Called by Vercel Cron, which sends "Authorization: Bearer $CRON_SECRET".
+export default async function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const secret = process.env.CRON_SECRET;
+  if (!secret || req.headers?.authorization !== `Bearer ${secret}`) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  try {
+    const summary = await runDueJobs();
+    const purgedJobs = await purgeFinishedJobs();
+    const purgedEvents = await purgeOldEvents();
+    return res
+      .status(200)
+      .json({ ok: true, ...summary, purgedJobs, purgedEvents });
+  } catch (err) {
+    console.error("Job runner error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+}
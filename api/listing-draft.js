@@ -0,0 +1,41 @@
+import {
+  LISTING_START_URL,
+  getListingDraft,
+  readListingToken,
+} from "../lib/listingDrafts.js";
+
+// GET /api/listing-draft?token=… → listing draft JSON for the marketplace's
+// "new listing" form. The token comes from the valuation email's CTA link.
+export default async function handler(req, res) {
+  // The marketplace calls this from the browser
+  res.setHeader("Access-Control-Allow-Origin", new URL(LISTING_START_URL).origin);
+  res.setHeader("Vary", "Origin");
+
+  if (req.method === "OPTIONS") {
+    res.setHeader("Access-Control-Allow-Methods", "GET");
+    return res.status(204).end();
+  }
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const draftId = readListingToken(req.query?.token);
+  if (!draftId) {
+    return res.status(401).json({
+      error: "This listing link is invalid or has expired",
+      code: "invalid_token",
+    });
+  }
+
+  try {
+    const draft = await getListingDraft(draftId);
+    if (!draft) {
+      return res.status(404).json({ error: "Listing draft not found" });
+    }
+    res.setHeader("Cache-Control", "private, no-store");
+    return res.status(200).json(draft);
+  } catch (err) {
+    console.error("Listing draft error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+}
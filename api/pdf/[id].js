@@ -0,0 +1,32 @@
+import { getValuationRecord } from "../../lib/records.js";
+import { renderValuationPdf } from "../../lib/pdfReport.js";
+
+// GET /api/pdf/:id → downloadable PDF copy of a stored valuation report
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  try {
+    const record = await getValuationRecord(req.query.id);
+    if (!record) {
+      return res.status(404).json({ error: "Report not found" });
+    }
+
+    const pdf = await renderValuationPdf({
+      input: record.input,
+      valuation: record.valuation,
+      issuedAt: record.createdAt,
+    });
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="biztradehub-valuation-${record.id}.pdf"`
+    );
+    return res.status(200).send(pdf);
+  } catch (err) {
+    console.error("PDF render error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+}
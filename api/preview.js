@@ -0,0 +1,220 @@
+import { authenticate, keysFromEnv } from "../lib/auth.js";
+import { validateValuationInput } from "../lib/input.js";
+import { runValuation } from "../lib/valuationPipeline.js";
+import { createFakeProvider, getLlmProvider } from "../lib/llm.js";
+import { PREVIEW_FIXTURES } from "../lib/previewFixtures.js";
+import { html } from "../lib/templates/html.js";
+import {
+  renderValuationEmail,
+  renderValuationText,
+  valuationSubject,
+} from "../lib/templates/valuationEmail.js";
+import {
+  FOLLOW_UP_STEPS,
+  renderFollowUpEmail,
+  renderFollowUpText,
+  followUpSubject,
+} from "../lib/templates/followUpEmail.js";
+import { EXPERIMENTS, forceVariant, variantFor } from "../lib/experiments.js";
+
+// GET|POST /api/preview → render a customer email in the browser without
+// sending it or storing anything. For template work by marketing and
+// engineering; needs a PREVIEW_API_KEYS key (header, or ?key= in a browser).
+//
+// Query/body options:
+//   fixture=<name>          named input + model reply (lib/previewFixtures.js)
+//   businessType=…, etc.    form fields, layered over the fixture's input
+//   llmReply={…}            model reply to use instead of the fixture's
+//   llm=fixture|live|fallback
+//                           canned reply (default), call the real model, or
+//                           force the rule-based fallback
+//   template=valuation|ready_to_list|market_update
+//   promptVariant=, emailVariant=
+//                           experiment variant to render (control by default)
+//   format=html|text|json
+//
+// With no fixture and no businessType it lists the fixtures.
+
+const TEMPLATES = ["valuation", ...FOLLOW_UP_STEPS];
+const VARIANT_SLOTS = ["prompt", "email"];
+const LLM_MODES = ["fixture", "live", "fallback"];
+const FORMATS = ["html", "text", "json"];
+
+// Links in a preview go nowhere
+const SAMPLE_LINK = "#";
+
+function option(req, name, allowed) {
+  const value = String(req.query?.[name] ?? req.body?.[name] ?? allowed[0]);
+  return allowed.includes(value) ? value : null;
+}
+
+// Object or JSON string; null when it doesn't parse
+function parseReply(value) {
+  if (typeof value === "object") return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+function providerFor(mode, reply) {
+  if (mode === "live") return getLlmProvider();
+  if (mode === "fallback") {
+    return createFakeProvider(new Error("Model disabled for preview"));
+  }
+  return createFakeProvider(reply);
+}
+
+function indexPage(key) {
+  const link = (name) => {
+    const params = new URLSearchParams({ fixture: name });
+    if (key) params.set("key", key);
+    return `?${params}`;
+  };
+
+  return html`<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width,initial-scale=1">
+    <title>Email previews · BizTradeHub</title>
+  </head>
+  <body style="margin:0;background:#f3f4f6;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;color:#111827;">
+    <div style="max-width:640px;margin:48px auto;background:#ffffff;border:1px solid #e5e7eb;border-radius:18px;padding:28px 24px;">
+      <h1 style="font-size:20px;margin:0 0 8px;">Email previews</h1>
+      <p style="font-size:14px;line-height:1.6;color:#4b5563;margin:0 0 16px;">Add template=${FOLLOW_UP_STEPS.join("|")} for the follow-ups, format=text|json for the other parts, or llm=live to call the model.</p>
+      <p style="font-size:14px;line-height:1.6;color:#4b5563;margin:0 0 16px;">Experiment variants: ${EXPERIMENTS.filter((e) => e.active).map(
+        (e) => `${e.slot}Variant=${e.variants.map((v) => v.id).join("|")}`
+      ).join(", ")}</p>
+      <ul style="font-size:14px;line-height:1.8;padding-left:18px;margin:0;">
+        ${Object.entries(PREVIEW_FIXTURES).map(
+          ([name, fixture]) =>
+            html`<li><a href="${link(name)}">${name}</a> <span style="color:#6b7280;">${fixture.description}</span></li>`
+        )}
+      </ul>
+    </div>
+  </body>
+</html>
+`.toString();
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const key = authenticate(req, keysFromEnv("PREVIEW_API_KEYS"), {
+    allowQuery: true,
+  });
+  if (!key) {
+    return res.status(401).json({ error: "Unauthorized" });
+  }
+
+  const query = req.query || {};
+  const body = req.body && typeof req.body === "object" ? req.body : {};
+  const fixtureName = query.fixture ?? body.fixture ?? null;
+
+  if (!fixtureName && !query.businessType && !body.businessType) {
+    res.setHeader("Content-Type", "text/html; charset=utf-8");
+    return res.status(200).send(indexPage(query.key));
+  }
+
+  const name = fixtureName ?? "default";
+  if (!Object.hasOwn(PREVIEW_FIXTURES, name)) {
+    return res
+      .status(404)
+      .json({ error: "Unknown fixture", code: "unknown_fixture" });
+  }
+  const fixture = PREVIEW_FIXTURES[name];
+
+  const template = option(req, "template", TEMPLATES);
+  const mode = option(req, "llm", LLM_MODES);
+  const format = option(req, "format", FORMATS);
+  if (!template || !mode || !format) {
+    return res.status(400).json({
+      error: `Options: template=${TEMPLATES.join("|")}, llm=${LLM_MODES.join("|")}, format=${FORMATS.join("|")}`,
+      code: "invalid_option",
+    });
+  }
+
+  const customReply = query.llmReply ?? body.llmReply;
+  const reply =
+    customReply == null ? fixture.llmReply : parseReply(customReply);
+  if (!reply) {
+    return res
+      .status(400)
+      .json({ error: "llmReply is not valid JSON", code: "invalid_reply" });
+  }
+
+  const validation = validateValuationInput(
+    { ...fixture.input, ...query, ...body },
+    { requireEmail: false }
+  );
+  if (!validation.ok) {
+    return res.status(400).json({
+      error: "Invalid input",
+      fields: validation.errors,
+    });
+  }
+  const input = validation.value;
+
+  let experiments = {};
+  for (const slot of VARIANT_SLOTS) {
+    const variant = query[`${slot}Variant`] ?? body[`${slot}Variant`];
+    if (variant == null) continue;
+    experiments = forceVariant(experiments, slot, String(variant));
+    if (!experiments) {
+      return res.status(400).json({
+        error: `No ${slot} experiment with a variant named "${variant}"`,
+        code: "unknown_variant",
+      });
+    }
+  }
+
+  try {
+    const result = await runValuation(input, {
+      provider: providerFor(mode, reply),
+      promptRules: variantFor("prompt", experiments).rules,
+    });
+    const valuation = { ...result.valuation, ...fixture.valuation };
+    const data = {
+      input,
+      valuation,
+      issuedAt: new Date(),
+      reportUrl: SAMPLE_LINK,
+      unsubscribeUrl: SAMPLE_LINK,
+      copy: variantFor("email", experiments),
+    };
+
+    const followUp = template !== "valuation" ? { step: template, ...data } : null;
+    const renderHtml = () =>
+      followUp ? renderFollowUpEmail(followUp) : renderValuationEmail(data);
+    const renderText = () =>
+      followUp ? renderFollowUpText(followUp) : renderValuationText(data);
+
+    res.setHeader("Cache-Control", "no-store");
+    if (format === "json") {
+      return res.status(200).json({
+        ok: true,
+        fixture: name,
+        template,
+        experiments,
+        subject: followUp ? followUpSubject(followUp) : valuationSubject(data),
+        input,
+        valuation,
+        llm: { mode, model: result.llm.model, output: result.llmOutput },
+        text: renderText(),
+      });
+    }
+    if (format === "text") {
+      res.setHeader("Content-Type", "text/plain; charset=utf-8");
+      return res.status(200).send(renderText());
+    }
+    res.setHeader("Content-Type", "text/html; charset=utf-8");
+    return res.status(200).send(renderHtml());
+  } catch (err) {
+    console.error("Preview error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+}
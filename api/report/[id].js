@@ -0,0 +1,34 @@
+import { getValuationRecord } from "../../lib/records.js";
+import { renderValuationEmail } from "../../lib/templates/valuationEmail.js";
+import { clickUrl } from "../../lib/clicks.js";
+import { variantFor } from "../../lib/experiments.js";
+
+// GET /api/report/:id → the same report HTML the customer was emailed
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  try {
+    const record = await getValuationRecord(req.query.id);
+    if (!record) {
+      return res.status(404).json({ error: "Report not found" });
+    }
+
+    const html = renderValuationEmail({
+      input: record.input,
+      valuation: record.valuation,
+      issuedAt: record.createdAt,
+      ctaUrl: record.listingDraftId
+        ? clickUrl(record.id, "report")
+        : undefined,
+      copy: variantFor("email", record.experiments),
+    });
+
+    res.setHeader("Content-Type", "text/html; charset=utf-8");
+    return res.status(200).send(html);
+  } catch (err) {
+    console.error("Report render error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+}
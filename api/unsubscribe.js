@@ -0,0 +1,78 @@
+import { html } from "../lib/templates/html.js";
+import { readUnsubscribeToken, suppressEmail } from "../lib/suppression.js";
+
+// /api/unsubscribe?token=…
+//   GET  → confirmation page (link scanners prefetch GETs, so it changes nothing)
+//   POST → adds the address to the suppression list. Also the target of
+//          one-click List-Unsubscribe-Post from mail clients.
+
+function page(title, message, form) {
+  return html`<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width,initial-scale=1">
+    <title>${title} · BizTradeHub</title>
+  </head>
+  <body style="margin:0;background:#f3f4f6;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;color:#111827;">
+    <div style="max-width:480px;margin:48px auto;background:#ffffff;border:1px solid #e5e7eb;border-radius:18px;padding:28px 24px;">
+      <div style="font-size:18px;font-weight:700;margin-bottom:16px;">BizTradeHub</div>
+      <h1 style="font-size:20px;margin:0 0 8px;">${title}</h1>
+      <p style="font-size:14px;line-height:1.6;color:#4b5563;margin:0 0 16px;">${message}</p>
+      ${form}
+    </div>
+  </body>
+</html>
+`.toString();
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "POST") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const token = req.query?.token || req.body?.token;
+  const email = readUnsubscribeToken(token);
+  res.setHeader("Content-Type", "text/html; charset=utf-8");
+
+  if (!email) {
+    return res
+      .status(400)
+      .send(
+        page(
+          "Link not valid",
+          "This unsubscribe link is incomplete or has been altered. Please use the link from your most recent BizTradeHub email."
+        )
+      );
+  }
+
+  if (req.method === "GET") {
+    return res.status(200).send(
+      page(
+        "Unsubscribe",
+        `Stop all BizTradeHub valuation emails to ${email}?`,
+        html`<form method="post" action="?token=${token}">
+        <button type="submit" style="background:#111827;color:#ffffff;font-size:14px;font-weight:600;padding:12px 18px;border:0;border-radius:999px;cursor:pointer;">Unsubscribe</button>
+      </form>`
+      )
+    );
+  }
+
+  try {
+    await suppressEmail(email, { reason: "unsubscribed", source: "link" });
+  } catch (err) {
+    console.error("Unsubscribe error:", err);
+    return res
+      .status(500)
+      .send(page("Something went wrong", "Please try the link again in a few minutes."));
+  }
+
+  return res
+    .status(200)
+    .send(
+      page(
+        "You're unsubscribed",
+        `We won't send any more emails to ${email}. You can still request a new valuation at any time.`
+      )
+    );
+}
@@ -0,0 +1,20 @@
+import { getValuationRecord, publicValuationView } from "../../lib/records.js";
+
+// GET /api/valuations/:id → the public view of a stored valuation as JSON
+// (see publicValuationView: the ID is in every emailed link, so no PII)
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  try {
+    const record = await getValuationRecord(req.query.id);
+    if (!record) {
+      return res.status(404).json({ error: "Valuation not found" });
+    }
+    return res.status(200).json(publicValuationView(record));
+  } catch (err) {
+    console.error("Valuation lookup error:", err);
+    return res.status(500).json({ error: "Server error" });
+  }
+}
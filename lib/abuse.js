@@ -0,0 +1,221 @@
+import { createHash } from "node:crypto";
+import { DISPOSABLE_DOMAINS } from "./disposableDomains.js";
+import { createKvClient, kvConfigured } from "./kv.js";
+
+// Abuse protection for the valuation endpoint: every accepted POST costs an
+// OpenAI call and a Resend send.
+//
+// Counters and remembered submissions live in a pluggable store with
+//   increment(key, windowMs) → { count, resetAt }
+//   get(key) → value | null
+//   set(key, value, ttlMs)
+//   setIfAbsent(key, value, ttlMs) → true if set, false if the key exists
+//   remove(key)
+// setIfAbsent must be atomic, or concurrent duplicates both get through.
+// With Vercel KV configured (KV_REST_API_URL) the store is shared by every
+// instance; otherwise it is in memory and per instance. Other backends can
+// be swapped in with setAbuseStore().
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+export const LIMITS = {
+  ip: {
+    max: Number(process.env.RATE_LIMIT_IP_MAX) || 10,
+    windowMs: Number(process.env.RATE_LIMIT_IP_WINDOW_MS) || HOUR,
+  },
+  recipient: {
+    max: Number(process.env.RATE_LIMIT_RECIPIENT_MAX) || 3,
+    windowMs: Number(process.env.RATE_LIMIT_RECIPIENT_WINDOW_MS) || 24 * HOUR,
+  },
+};
+
+const DEDUPE_WINDOW_MS = Number(process.env.DEDUPE_WINDOW_MS) || 10 * MINUTE;
+
+// Hidden form field that people never see but form-filling bots do
+export const HONEYPOT_FIELD = process.env.HONEYPOT_FIELD || "website";
+
+export function createMemoryAbuseStore({ now = Date.now } = {}) {
+  const entries = new Map();
+
+  const live = (key) => {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt <= now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  // Drop expired entries now and then so the map can't grow forever
+  let writes = 0;
+  const prune = () => {
+    if (++writes % 500) return;
+    for (const key of entries.keys()) live(key);
+  };
+
+  return {
+    async increment(key, windowMs) {
+      prune();
+      const entry = live(key) || { value: 0, expiresAt: now() + windowMs };
+      entry.value += 1;
+      entries.set(key, entry);
+      return { count: entry.value, resetAt: entry.expiresAt };
+    },
+    async get(key) {
+      return live(key)?.value ?? null;
+    },
+    async set(key, value, ttlMs) {
+      prune();
+      entries.set(key, { value, expiresAt: now() + ttlMs });
+    },
+    async setIfAbsent(key, value, ttlMs) {
+      if (live(key)) return false;
+      prune();
+      entries.set(key, { value, expiresAt: now() + ttlMs });
+      return true;
+    },
+    async remove(key) {
+      entries.delete(key);
+    },
+  };
+}
+
+export function createKvAbuseStore(client = createKvClient(), { prefix = "bth:abuse:" } = {}) {
+  const k = (key) => `${prefix}${key}`;
+
+  return {
+    async increment(key, windowMs) {
+      // NX: the window starts at the first hit and isn't pushed back
+      const [count, , ttl] = await client.pipeline([
+        ["INCR", k(key)],
+        ["PEXPIRE", k(key), windowMs, "NX"],
+        ["PTTL", k(key)],
+      ]);
+      return { count, resetAt: Date.now() + Math.max(ttl, 0) };
+    },
+    async get(key) {
+      const value = await client.command("GET", k(key));
+      return value == null ? null : JSON.parse(value);
+    },
+    async set(key, value, ttlMs) {
+      await client.command("SET", k(key), JSON.stringify(value), "PX", ttlMs);
+    },
+    async setIfAbsent(key, value, ttlMs) {
+      const result = await client.command(
+        "SET",
+        k(key),
+        JSON.stringify(value),
+        "PX",
+        ttlMs,
+        "NX"
+      );
+      return result === "OK";
+    },
+    async remove(key) {
+      await client.command("DEL", k(key));
+    },
+  };
+}
+
+let store = null;
+
+export function getAbuseStore() {
+  if (!store) store = kvConfigured() ? createKvAbuseStore() : createMemoryAbuseStore();
+  return store;
+}
+
+export function setAbuseStore(next) {
+  store = next;
+}
+
+export function clientIp(req) {
+  const forwarded = req.headers?.["x-forwarded-for"];
+  if (forwarded) return String(forwarded).split(",")[0].trim();
+  return req.headers?.["x-real-ip"] || req.socket?.remoteAddress || "unknown";
+}
+
+export function isHoneypotFilled(body = {}) {
+  const value = body[HONEYPOT_FIELD];
+  return value != null && String(value).trim() !== "";
+}
+
+const extraBlocked = (process.env.BLOCKED_EMAIL_DOMAINS || "")
+  .split(",")
+  .map((d) => d.trim().toLowerCase())
+  .filter(Boolean);
+
+// Matches the domain itself and any subdomain (foo.mailinator.com)
+export function isDisposableEmail(email = "") {
+  const domain = email.split("@")[1]?.toLowerCase();
+  if (!domain) return false;
+  const parts = domain.split(".");
+  for (let i = 0; i < parts.length - 1; i++) {
+    const candidate = parts.slice(i).join(".");
+    if (DISPOSABLE_DOMAINS.has(candidate) || extraBlocked.includes(candidate)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Count this request against the per-IP and (when emailing) per-recipient
+// limits. Returns null when allowed, or { scope, retryAfter } in seconds.
+export async function checkRateLimits({ ip, email }) {
+  const checks = [["ip", ip]];
+  if (email) checks.push(["recipient", email]);
+
+  for (const [scope, value] of checks) {
+    const { max, windowMs } = LIMITS[scope];
+    const { count, resetAt } = await getAbuseStore().increment(
+      `rate:${scope}:${value}`,
+      windowMs
+    );
+    if (count > max) {
+      return {
+        scope,
+        retryAfter: Math.max(1, Math.ceil((resetAt - Date.now()) / 1000)),
+      };
+    }
+  }
+  return null;
+}
+
+function sha256(value) {
+  return createHash("sha256").update(value).digest("hex");
+}
+
+// Dedupe key: the client's address, a hash of the normalised inputs and
+// response options, and its Idempotency-Key if it sent one. Scoping by
+// client and payload means a reused or guessed key can only ever replay
+// the caller's own response to the same request.
+export function submissionKey(req, payload) {
+  const explicit =
+    req.headers?.["idempotency-key"] || req.body?.idempotencyKey;
+  const parts = [
+    clientIp(req),
+    sha256(JSON.stringify(payload)),
+    explicit ? String(explicit).slice(0, 200) : "",
+  ];
+  return `dedupe:${sha256(parts.join("\n"))}`;
+}
+
+// Claim a submission key. Returns null for a fresh submission, otherwise the
+// remembered entry: { status: "pending" } or { status: "done", response }.
+export async function claimSubmission(key) {
+  const abuseStore = getAbuseStore();
+  if (await abuseStore.setIfAbsent(key, { status: "pending" }, DEDUPE_WINDOW_MS)) {
+    return null;
+  }
+  // Taken; it may have expired since, in which case treat it as in flight
+  return (await abuseStore.get(key)) || { status: "pending" };
+}
+
+export async function completeSubmission(key, response) {
+  await getAbuseStore().set(key, { status: "done", response }, DEDUPE_WINDOW_MS);
+}
+
+// Failed submissions may be retried straight away
+export async function releaseSubmission(key) {
+  await getAbuseStore().remove(key);
+}
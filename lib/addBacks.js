@@ -0,0 +1,30 @@
+// Owner add-backs: normalise accounting net profit into SDE (seller's
+// discretionary earnings), which is what the valuation multiples apply to.
+
+export const ADD_BACK_FIELDS = [
+  { key: "ownerSalary", label: "Owner's salary" },
+  { key: "ownerSuper", label: "Owner's super" },
+  { key: "depreciation", label: "Depreciation" },
+  { key: "interest", label: "Interest" },
+  { key: "oneOffExpenses", label: "One-off expenses" },
+  { key: "discretionaryExpenses", label: "Discretionary expenses" },
+  { key: "excessRent", label: "Excess rent" },
+];
+
+// Reconcile reported profit to SDE line by line.
+// `addBacks` is { ownerSalary: 80000, ... }; empty or zero entries are skipped.
+export function calculateSde({ annualProfit, addBacks = {} }) {
+  const reportedProfit = Number(annualProfit) || 0;
+
+  const lines = ADD_BACK_FIELDS.filter(({ key }) => Number(addBacks[key]) > 0).map(
+    ({ key, label }) => ({ key, label, amount: Number(addBacks[key]) })
+  );
+  const totalAddBacks = lines.reduce((sum, line) => sum + line.amount, 0);
+
+  return {
+    reportedProfit,
+    lines,
+    totalAddBacks,
+    sde: reportedProfit + totalAddBacks,
+  };
+}
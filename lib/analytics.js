@@ -0,0 +1,310 @@
+// Aggregates over the request event log (lib/events.js) for the admin
+// analytics route: who uses the valuer, what it estimates, how often
+// OpenAI and Resend let it down, and how experiment variants convert.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const PERCENTILES = [10, 25, 50, 75, 90];
+
+// SDE bands, in the valuation's own currency
+const PROFIT_BANDS = [
+  { label: "under 50k", max: 50_000 },
+  { label: "50k–100k", max: 100_000 },
+  { label: "100k–250k", max: 250_000 },
+  { label: "250k–500k", max: 500_000 },
+  { label: "500k–1m", max: 1_000_000 },
+  { label: "1m+", max: Infinity },
+];
+
+function parseDate(value, { endOfDay = false } = {}) {
+  const text = String(value).trim();
+  // A bare date covers the whole (UTC) day
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    const day = new Date(`${text}T00:00:00Z`);
+    return endOfDay ? new Date(day.getTime() + DAY_MS) : day;
+  }
+  const date = new Date(text);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// ?from=&to= as dates (to is inclusive) or ISO timestamps. Defaults to the
+// last 30 days. Returns { from, to } or null when either can't be read.
+export function parseDateRange({ from, to } = {}, { now = new Date() } = {}) {
+  const end = to ? parseDate(to, { endOfDay: true }) : now;
+  const start = from
+    ? parseDate(from)
+    : end && new Date(end.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+  if (!start || !end || start >= end) return null;
+  return { from: start, to: end };
+}
+
+// Linear interpolation between closest ranks
+export function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  const value = sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+  return Math.round(value);
+}
+
+function distribution(values) {
+  const sorted = values
+    .filter((value) => typeof value === "number" && Number.isFinite(value))
+    .sort((a, b) => a - b);
+  const result = { count: sorted.length };
+  for (const p of PERCENTILES) result[`p${p}`] = percentile(sorted, p);
+  return result;
+}
+
+function rate(part, whole) {
+  return whole ? Math.round((part / whole) * 1000) / 1000 : null;
+}
+
+// [{ key, count, share }] most common first
+function countBy(events, keyOf) {
+  const counts = new Map();
+  for (const event of events) {
+    const key = keyOf(event) ?? "(none)";
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return [...counts]
+    .map(([key, count]) => ({ key, count, share: rate(count, events.length) }))
+    .sort((a, b) => b.count - a.count || String(a.key).localeCompare(b.key));
+}
+
+// Free-text locations differ only in case and spacing ("surry hills ")
+function locationKey(event) {
+  const location = event.location?.trim().replace(/\s+/g, " ");
+  return location ? location.toLowerCase() : null;
+}
+
+function profitBand(event) {
+  if (typeof event.sde !== "number") return null;
+  const band = PROFIT_BANDS.find((b) => event.sde < b.max);
+  return `${event.currency} ${band.label}`;
+}
+
+// Percentiles per currency, since AUD, NZD and GBP figures don't mix
+function byCurrency(valuations, field) {
+  const currencies = [...new Set(valuations.map((v) => v.currency))].sort();
+  return Object.fromEntries(
+    currencies.map((currency) => [
+      currency,
+      distribution(
+        valuations.filter((v) => v.currency === currency).map((v) => v[field])
+      ),
+    ])
+  );
+}
+
+// Valuations and CTA clicks per experiment variant. A click counts
+// towards the variants its valuation was assigned, and in the range the
+// click happened in; clickRate is valuations clicked at least once over
+// valuations made.
+function compareVariants(valuations, clicks) {
+  const rows = new Map();
+  const row = (experiment, variant) => {
+    const key = `${experiment}:${variant}`;
+    if (!rows.has(key)) {
+      rows.set(key, {
+        experiment,
+        variant,
+        valuations: 0,
+        emailed: 0,
+        clicks: 0,
+        clicked: new Set(),
+      });
+    }
+    return rows.get(key);
+  };
+
+  for (const v of valuations) {
+    for (const [experiment, variant] of Object.entries(v.experiments || {})) {
+      const r = row(experiment, variant);
+      r.valuations += 1;
+      if (v.email?.status === "sent") r.emailed += 1;
+    }
+  }
+  for (const click of clicks) {
+    for (const [experiment, variant] of Object.entries(click.experiments || {})) {
+      const r = row(experiment, variant);
+      r.clicks += 1;
+      r.clicked.add(click.valuationId);
+    }
+  }
+
+  return [...rows.values()]
+    .sort(
+      (a, b) =>
+        a.experiment.localeCompare(b.experiment) ||
+        a.variant.localeCompare(b.variant)
+    )
+    .map(({ clicked, ...r }) => ({
+      ...r,
+      clickedValuations: clicked.size,
+      clickRate: rate(clicked.size, r.valuations),
+    }));
+}
+
+export function summarizeEvents(allEvents, { from, to }) {
+  const events = allEvents.filter((event) => event.route === "valuation");
+  const clicks = allEvents.filter((event) => event.outcome === "click");
+  const valuations = events.filter((event) => event.outcome === "ok");
+  const serverErrors = events.filter((event) => event.outcome === "error").length;
+
+  const attempts = valuations.reduce((sum, v) => sum + (v.llm?.attempts || 0), 0);
+  const failedAttempts = valuations.reduce(
+    (sum, v) => sum + (v.llm?.failedAttempts || 0),
+    0
+  );
+  const fallbacks = valuations.filter((v) => v.source === "fallback").length;
+
+  const emailed = valuations.filter((v) =>
+    ["sent", "failed"].includes(v.email?.status)
+  );
+  const emailFailures = emailed.filter((v) => v.email.status === "failed").length;
+
+  return {
+    from: from.toISOString(),
+    to: to.toISOString(),
+    requests: events.length,
+    valuations: valuations.length,
+    outcomes: countBy(events, (event) => event.outcome),
+    byCategory: countBy(valuations, (v) => v.chosenCategory),
+    byRegion: countBy(valuations, (v) => v.region),
+    byLocation: countBy(valuations, locationKey),
+    byConfidence: countBy(valuations, (v) => v.confidence),
+    byProfitBand: countBy(valuations, profitBand),
+    recommendedPrice: byCurrency(valuations, "recommendedPrice"),
+    sde: byCurrency(valuations, "sde"),
+    errors: {
+      server: { count: serverErrors, rate: rate(serverErrors, events.length) },
+      openai: {
+        attempts,
+        failedAttempts,
+        attemptFailureRate: rate(failedAttempts, attempts),
+        fallbacks,
+        fallbackRate: rate(fallbacks, valuations.length),
+      },
+      resend: {
+        attempts: emailed.length,
+        failures: emailFailures,
+        failureRate: rate(emailFailures, emailed.length),
+      },
+    },
+    latencyMs: {
+      request: distribution(events.map((event) => event.durationMs)),
+      llm: distribution(valuations.map((v) => v.llm?.durationMs)),
+      email: distribution(emailed.map((v) => v.email.durationMs)),
+    },
+    clicks: clicks.length,
+    experiments: compareVariants(valuations, clicks),
+  };
+}
+
+export const SUMMARY_COLUMNS = [
+  "section",
+  "key",
+  "count",
+  "share",
+  ...PERCENTILES.map((p) => `p${p}`),
+  "clicks",
+  "clickedValuations",
+];
+
+// The summary as long-form rows for a spreadsheet
+export function summaryRows(summary) {
+  const counts = (section, list) => list.map((item) => ({ section, ...item }));
+  const distributions = (section, map) =>
+    Object.entries(map).map(([key, stats]) => ({ section, key, ...stats }));
+  const { server, openai, resend } = summary.errors;
+
+  return [
+    { section: "total", key: "requests", count: summary.requests },
+    { section: "total", key: "valuations", count: summary.valuations },
+    ...counts("outcome", summary.outcomes),
+    ...counts("category", summary.byCategory),
+    ...counts("region", summary.byRegion),
+    ...counts("location", summary.byLocation),
+    ...counts("confidence", summary.byConfidence),
+    ...counts("profitBand", summary.byProfitBand),
+    ...distributions("recommendedPrice", summary.recommendedPrice),
+    ...distributions("sde", summary.sde),
+    { section: "errors", key: "server", count: server.count, share: server.rate },
+    {
+      section: "errors",
+      key: "openai_attempts",
+      count: openai.failedAttempts,
+      share: openai.attemptFailureRate,
+    },
+    {
+      section: "errors",
+      key: "openai_fallbacks",
+      count: openai.fallbacks,
+      share: openai.fallbackRate,
+    },
+    {
+      section: "errors",
+      key: "resend",
+      count: resend.failures,
+      share: resend.failureRate,
+    },
+    ...distributions("latencyMs", summary.latencyMs),
+    { section: "total", key: "clicks", count: summary.clicks },
+    ...summary.experiments.map((r) => ({
+      section: "experiment",
+      key: `${r.experiment}:${r.variant}`,
+      count: r.valuations,
+      share: r.clickRate,
+      clicks: r.clicks,
+      clickedValuations: r.clickedValuations,
+    })),
+  ];
+}
+
+export const EVENT_COLUMNS = [
+  "at",
+  "route",
+  "outcome",
+  "status",
+  "durationMs",
+  "valuationId",
+  "businessType",
+  "location",
+  "region",
+  "currency",
+  "chosenCategory",
+  "confidence",
+  "source",
+  "annualProfit",
+  "sde",
+  "lowEstimate",
+  "highEstimate",
+  "recommendedPrice",
+  "llmModel",
+  "llmAttempts",
+  "llmFailedAttempts",
+  "llmMs",
+  "emailStatus",
+  "emailMs",
+  "link",
+  "experiments",
+];
+
+// One flat row per event for the raw CSV export
+export function eventRow(event) {
+  const { llm, email, experiments, ...rest } = event;
+  return {
+    ...rest,
+    experiments: Object.entries(experiments || {})
+      .map(([experiment, variant]) => `${experiment}=${variant}`)
+      .join(";"),
+    llmModel: llm?.model,
+    llmAttempts: llm?.attempts,
+    llmFailedAttempts: llm?.failedAttempts,
+    llmMs: llm?.durationMs,
+    emailStatus: email?.status,
+    emailMs: email?.durationMs,
+  };
+}
@@ -0,0 +1,39 @@
+import { createHash, timingSafeEqual } from "node:crypto";
+
+// API keys for the partner/admin routes. Keys are configured as
+// comma-separated env vars and sent as "Authorization: Bearer <key>" (or an
+// X-API-Key header).
+
+export function keysFromEnv(name) {
+  return (process.env[name] || "")
+    .split(",")
+    .map((key) => key.trim())
+    .filter(Boolean);
+}
+
+// `allowQuery` also accepts ?key=, for pages opened straight in a browser
+export function requestKey(req, { allowQuery = false } = {}) {
+  const header = req.headers?.authorization || "";
+  const bearer = header.match(/^Bearer\s+(.+)$/i);
+  if (bearer) return bearer[1].trim();
+  if (req.headers?.["x-api-key"]) return req.headers["x-api-key"];
+  return allowQuery && req.query?.key ? String(req.query.key) : null;
+}
+
+function digest(value) {
+  return createHash("sha256").update(String(value)).digest();
+}
+
+// The configured key the request carries, or null. Compares digests so the
+// check takes the same time whatever the key length.
+export function authenticate(req, keys, options) {
+  const key = requestKey(req, options);
+  if (!key) return null;
+  const received = digest(key);
+  return keys.find((k) => timingSafeEqual(digest(k), received)) || null;
+}
+
+// Short stable ID for a key, safe to store and log
+export function keyId(key) {
+  return digest(key).toString("hex").slice(0, 16);
+}
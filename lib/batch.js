@@ -0,0 +1,261 @@
+import { getStore, isValidId, newId } from "./store.js";
+import { validateValuationInput } from "./input.js";
+import { ADD_BACK_FIELDS } from "./addBacks.js";
+import { isDisposableEmail } from "./abuse.js";
+import { createValuation } from "./valuationService.js";
+import { scheduleJob, registerJobHandler } from "./jobQueue.js";
+import { PUBLIC_BASE_URL } from "./config.js";
+import { toCsv } from "./csv.js";
+
+// Broker batch valuations. A batch stores its input rows and fills in one
+// result per row as it goes, so a run that dies half way resumes where it
+// stopped. Small batches run inside the request. Larger ones are valued
+// BATCH_CHUNK_ROWS rows per run, each chunk re-queueing the next on the job
+// queue, so no single invocation outgrows the function timeout; they are
+// polled at /api/batches/:id.
+
+const COLLECTION = "batches";
+
+export const BATCH_JOB = "valuationBatch";
+export const MAX_ROWS = Number(process.env.BATCH_MAX_ROWS) || 500;
+export const SYNC_MAX_ROWS = Number(process.env.BATCH_SYNC_MAX_ROWS) || 20;
+const CONCURRENCY = Number(process.env.BATCH_CONCURRENCY) || 3;
+const CHUNK_ROWS = Number(process.env.BATCH_CHUNK_ROWS) || 20;
+// Another run may pick the batch up once this long has passed without progress
+const LOCK_MS = 5 * 60 * 1000;
+
+export const RESULT_COLUMNS = [
+  "row",
+  "status",
+  "id",
+  "businessType",
+  "location",
+  "region",
+  "currency",
+  "lowEstimate",
+  "highEstimate",
+  "recommendedPrice",
+  "multipleRange",
+  "confidence",
+  "sellTime",
+  "chosenCategory",
+  "reportUrl",
+  "listingUrl",
+  "emailStatus",
+  "error",
+];
+
+// Spreadsheet headers vary ("Business Type", "annual_profit"); match them
+// to the field names the valuation handler reads
+const FIELDS = [
+  "businessType",
+  "location",
+  "region",
+  "country",
+  "email",
+  "annualRevenue",
+  "annualProfit",
+  "yearsOperating",
+  "staffCount",
+  ...ADD_BACK_FIELDS.map((field) => field.key),
+];
+const FIELD_BY_KEY = new Map(
+  FIELDS.map((field) => [field.toLowerCase(), field])
+);
+
+export function normaliseRow(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return {};
+  const row = {};
+  for (const [key, value] of Object.entries(raw)) {
+    const field = FIELD_BY_KEY.get(key.replace(/[\s_-]/g, "").toLowerCase());
+    if (field) row[field] = value;
+  }
+  if (raw.addBacks && typeof raw.addBacks === "object") row.addBacks = raw.addBacks;
+  return row;
+}
+
+export function batchStatusUrl(id) {
+  return `${PUBLIC_BASE_URL}/api/batches/${id}`;
+}
+
+export async function createBatch({ rows, sendEmails, owner }) {
+  const batch = {
+    id: newId(),
+    status: "queued",
+    owner,
+    sendEmails,
+    total: rows.length,
+    rows: rows.map(normaliseRow),
+    results: [],
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+  };
+  await getStore().put(COLLECTION, batch.id, batch);
+  return batch;
+}
+
+export async function getBatch(id) {
+  if (!isValidId(id)) return null;
+  return getStore().get(COLLECTION, id);
+}
+
+function describeErrors(fields) {
+  return Object.entries(fields)
+    .map(([field, code]) => `${field} ${code}`)
+    .join("; ");
+}
+
+async function valueRow(raw, index, { sendEmails }) {
+  const row = index + 1;
+  const validation = validateValuationInput(raw, { requireEmail: false });
+  if (!validation.ok) {
+    return {
+      row,
+      status: "error",
+      error: `Invalid input: ${describeErrors(validation.errors)}`,
+      fields: validation.errors,
+    };
+  }
+
+  const input = validation.value;
+  if (sendEmails && input.email && isDisposableEmail(input.email)) {
+    return {
+      row,
+      status: "error",
+      error: "Invalid input: email disposable_email",
+      fields: { email: "disposable_email" },
+    };
+  }
+
+  try {
+    const { record, stored, emailStatus, reportUrl, listingUrl } =
+      await createValuation(input, { sendEmail: sendEmails });
+    const { valuation } = record;
+    return {
+      row,
+      status: "ok",
+      id: stored ? record.id : null,
+      businessType: input.businessType,
+      location: input.location,
+      region: valuation.region,
+      currency: valuation.currency,
+      lowEstimate: valuation.lowEstimate,
+      highEstimate: valuation.highEstimate,
+      recommendedPrice: valuation.recommendedPrice,
+      multipleRange: valuation.multipleRange,
+      confidence: valuation.confidence,
+      sellTime: valuation.sellTime,
+      chosenCategory: valuation.chosenCategory,
+      reportUrl,
+      listingUrl,
+      emailStatus,
+    };
+  } catch (err) {
+    console.error(`Batch row ${row} valuation error:`, err);
+    return { row, status: "error", error: "Valuation failed" };
+  }
+}
+
+export function summarizeBatch(batch) {
+  const results = batch.results.filter(Boolean);
+  return {
+    id: batch.id,
+    status: batch.status,
+    total: batch.total,
+    processed: results.length,
+    succeeded: results.filter((r) => r.status === "ok").length,
+    failed: results.filter((r) => r.status === "error").length,
+    sendEmails: batch.sendEmails,
+    createdAt: batch.createdAt,
+    updatedAt: batch.updatedAt,
+    finishedAt: batch.finishedAt || null,
+  };
+}
+
+// Response format: `format` query/body flag, then Accept, then `fallback`
+export function wantsCsv(req, fallback) {
+  const format = req.query?.format ?? req.body?.format;
+  if (format != null) return String(format).toLowerCase() === "csv";
+  if (/text\/csv/i.test(req.headers?.accept || "")) return true;
+  return fallback;
+}
+
+export function sendBatchResults(res, batch, csv) {
+  const results = batch.results.filter(Boolean);
+  if (csv) {
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="valuations-${batch.id}.csv"`
+    );
+    return res.status(200).send(toCsv(results, RESULT_COLUMNS));
+  }
+  return res.status(200).json({ ok: true, ...summarizeBatch(batch), results });
+}
+
+// Value up to `maxRows` rows that have no result yet, CONCURRENCY at a time.
+// Resolves "done", or "partial" when rows remain for the next run. Throws
+// if another run holds the batch, so a queued job retries later.
+export async function runBatch(
+  id,
+  { concurrency = CONCURRENCY, maxRows = CHUNK_ROWS } = {}
+) {
+  const store = getStore();
+  const batch = await getBatch(id);
+  if (!batch) throw new Error(`Batch not found: ${id}`);
+  if (batch.status === "done") return "done";
+  if (batch.status === "running" && new Date(batch.lockedUntil) > new Date()) {
+    throw new Error(`Batch ${id} is already running`);
+  }
+
+  // Saves are chained so concurrent rows never write the file at once
+  let saving = Promise.resolve();
+  const persist = (lockedUntil = Date.now() + LOCK_MS) => {
+    batch.updatedAt = new Date().toISOString();
+    batch.lockedUntil = new Date(lockedUntil).toISOString();
+    const snapshot = structuredClone(batch);
+    saving = saving.then(() => store.put(COLLECTION, id, snapshot));
+    return saving;
+  };
+
+  batch.status = "running";
+  await persist();
+
+  const pending = batch.rows
+    .map((_, index) => index)
+    .filter((index) => !batch.results[index]);
+  const chunk = pending.splice(0, maxRows);
+
+  const worker = async () => {
+    while (chunk.length) {
+      const index = chunk.shift();
+      batch.results[index] = await valueRow(batch.rows[index], index, batch);
+      await persist();
+    }
+  };
+  await Promise.all(
+    Array.from({ length: Math.min(concurrency, chunk.length) }, worker)
+  );
+
+  if (pending.length) {
+    // Release the lock so the next chunk can start straight away
+    await persist(Date.now());
+    return "partial";
+  }
+
+  batch.status = "done";
+  batch.finishedAt = new Date().toISOString();
+  await persist();
+  return "done";
+}
+
+// Queue the next background run; the cron picks it up within minutes
+export async function queueBatch(id) {
+  return scheduleJob({ type: BATCH_JOB, runAt: Date.now(), data: { batchId: id } });
+}
+
+registerJobHandler(BATCH_JOB, async ({ batchId }) => {
+  const result = await runBatch(batchId);
+  if (result === "partial") await queueBatch(batchId);
+  return result;
+});
@@ -0,0 +1,152 @@
+import { readFileSync, existsSync } from "node:fs";
+import { PUBLIC_BASE_URL } from "./config.js";
+
+// Industry taxonomy (data/taxonomy.json): categories with subcategories and
+// keyword lists. The category ids are the prompt's allowed imageCategory
+// values and pick the listing thumbnail; classifyBusiness() scores the
+// free-text businessType against the keywords.
+//
+// Thumbnails are resolved by `npm run build` (scripts/check-thumbnails.js)
+// into data/thumbnails.json (build output, not committed), so a category
+// whose image is missing from public/thumbnails falls back to a real one
+// instead of a broken image.
+
+const TAXONOMY_URL = new URL("../data/taxonomy.json", import.meta.url);
+const THUMBNAILS_URL = new URL("../data/thumbnails.json", import.meta.url);
+
+export const taxonomy = JSON.parse(readFileSync(TAXONOMY_URL, "utf8"));
+
+const BASE_THUMB = `${PUBLIC_BASE_URL}/thumbnails`;
+
+// Category → image file, checked against the files that actually exist
+export function resolveThumbnails(exists) {
+  const resolved = {};
+  const missing = [];
+  for (const category of taxonomy.categories) {
+    const file = [category.image, category.fallbackImage, taxonomy.fallbackImage]
+      .filter(Boolean)
+      .find(exists);
+    if (!file) throw new Error(`No thumbnail for category "${category.id}"`);
+    if (file !== category.image) {
+      missing.push({ category: category.id, image: category.image, using: file });
+    }
+    resolved[category.id] = file;
+  }
+  return { resolved, missing };
+}
+
+// Built manifest when present; otherwise the taxonomy's fallback chain
+// (data/thumbnails.json is missing only before the first build)
+function loadThumbnails() {
+  if (existsSync(THUMBNAILS_URL)) {
+    return JSON.parse(readFileSync(THUMBNAILS_URL, "utf8"));
+  }
+  const publicDir = new URL("../public/thumbnails/", import.meta.url);
+  return resolveThumbnails((file) => existsSync(new URL(file, publicDir))).resolved;
+}
+
+const thumbnails = loadThumbnails();
+
+// Category → thumbnail URLs on YOUR domain
+export const categoryImages = Object.fromEntries(
+  taxonomy.categories.map((category) => [
+    category.id,
+    `${BASE_THUMB}/${thumbnails[category.id] || taxonomy.fallbackImage}`,
+  ])
+);
+
+export const allowedCategories = taxonomy.categories.map((c) => c.id);
+
+export const DEFAULT_CATEGORY = taxonomy.defaultCategory;
+
+function normalise(text) {
+  return ` ${String(text ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim()} `;
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Keywords of 4+ letters match as word prefixes ("plumb" → "plumbing");
+// short ones must be the whole word or its plural ("car" ≠ "carpet")
+function keywordMatcher(keyword) {
+  const phrase = normalise(keyword).trim();
+  const tail = phrase.length >= 4 ? "" : "s? ";
+  return {
+    keyword,
+    weight: phrase.split(" ").length,
+    re: new RegExp(` ${escapeRegExp(phrase)}${tail}`),
+  };
+}
+
+const matchers = taxonomy.categories.map((category) => ({
+  category,
+  own: category.keywords.map(keywordMatcher),
+  subcategories: (category.subcategories || []).map((sub) => ({
+    sub,
+    matchers: sub.keywords.map(keywordMatcher),
+  })),
+}));
+
+function score(text, list) {
+  const matched = list.filter((m) => m.re.test(text));
+  return {
+    points: matched.reduce((sum, m) => sum + m.weight, 0),
+    matched: matched.map((m) => m.keyword),
+  };
+}
+
+// Score free text against the taxonomy. A category scores its own keywords
+// plus its best subcategory. Confidence (0–1) rises with the winning score
+// and with its lead over the runner-up; 0 means nothing matched.
+export function classifyBusiness(text = "") {
+  const s = normalise(text);
+
+  const results = matchers.map(({ category, own, subcategories }) => {
+    const base = score(s, own);
+    let best = null;
+    for (const { sub, matchers: subMatchers } of subcategories) {
+      const result = score(s, subMatchers);
+      if (result.points > 0 && (!best || result.points > best.points)) {
+        best = { sub, ...result };
+      }
+    }
+    return {
+      category,
+      subcategory: best?.sub || null,
+      points: base.points + (best?.points || 0),
+      matched: [...base.matched, ...(best?.matched || [])],
+    };
+  });
+
+  // Stable sort keeps taxonomy order on ties
+  const [top, runnerUp] = [...results].sort((a, b) => b.points - a.points);
+  if (!top.points) {
+    const fallback = taxonomy.categories.find((c) => c.id === DEFAULT_CATEGORY);
+    return {
+      category: DEFAULT_CATEGORY,
+      subcategory: null,
+      label: fallback.label,
+      confidence: 0,
+      matched: [],
+    };
+  }
+
+  const lead = top.points / (top.points + (runnerUp?.points || 0));
+  const strength = Math.min(1, (top.points + 1) / 3);
+  return {
+    category: top.category.id,
+    subcategory: top.subcategory?.id || null,
+    label: top.subcategory
+      ? `${top.category.label} › ${top.subcategory.label}`
+      : top.category.label,
+    confidence: Math.round(lead * strength * 100) / 100,
+    matched: top.matched,
+  };
+}
@@ -0,0 +1,37 @@
+import { createToken, readToken } from "./tokens.js";
+import { PUBLIC_BASE_URL } from "./config.js";
+import { LISTING_START_URL, listingUrl } from "./listingDrafts.js";
+
+// Click-tracked CTA links. The email, report and follow-up CTAs point at
+// /api/click with a signed token naming the valuation and where the link
+// was shown; the route logs the click and redirects to the listing flow.
+// The destination is worked out at click time, so the listing link behind
+// it never expires before the email does.
+
+const CLICK = "click";
+
+const TOKEN_TTL_SEC =
+  Number(process.env.CLICK_LINK_TTL_SEC) || 365 * 24 * 60 * 60;
+
+// `link` says which CTA was clicked: "email", "report" or a follow-up step
+export function clickUrl(valuationId, link) {
+  const token = createToken(
+    CLICK,
+    { v: valuationId, l: link },
+    { expiresInSec: TOKEN_TTL_SEC }
+  );
+  return `${PUBLIC_BASE_URL}/api/click?token=${token}`;
+}
+
+// { valuationId, link }, or null when the token is invalid or has expired
+export function readClickToken(token) {
+  const data = readToken(token, CLICK);
+  return data?.v ? { valuationId: data.v, link: data.l || null } : null;
+}
+
+// Prefilled listing when the valuation has a draft, else the blank form
+export function ctaDestination(record) {
+  return record?.listingDraftId
+    ? listingUrl(record.listingDraftId)
+    : LISTING_START_URL;
+}
@@ -0,0 +1,117 @@
+import { readFileSync } from "node:fs";
+
+// Comparable sales: completed small-business sales from data/comparableSales.json.
+// The nearest comps for a request go into the prompt and the report, so the
+// model anchors on real sale multiples instead of a generic "1x–4x".
+//
+// Customers are told these are completed sales, so a dataset marked
+// "sample": true is never used: findComparables() returns no comps and the
+// prompt, email and PDF leave the section out.
+//
+// Each sale: { id, category, businessType, region, location, soldDate,
+//              annualRevenue, sde, salePrice } in the sale region's currency.
+
+const DATASET_URL = new URL("../data/comparableSales.json", import.meta.url);
+
+export const MIN_SAME_REGION = 3;
+const DEFAULT_LIMIT = 5;
+
+let sales = null;
+let sample = false;
+
+export function loadComparableSales() {
+  if (!sales) {
+    const dataset = JSON.parse(readFileSync(DATASET_URL, "utf8"));
+    sample = dataset.sample === true;
+    sales = dataset.sales
+      .filter((row) => row.sde > 0 && row.salePrice > 0)
+      .map((row) => ({ ...row, multiple: row.salePrice / row.sde }));
+  }
+  return sales;
+}
+
+// True while the dataset is placeholder rows rather than real sales
+export function isSampleData() {
+  loadComparableSales();
+  return sample;
+}
+
+// For tests and local experiments; rows set here count as real sales
+export function setComparableSales(rows) {
+  sales = rows.map((row) => ({ ...row, multiple: row.salePrice / row.sde }));
+  sample = false;
+}
+
+// Size distance on a log scale: a $100k business is as far from a $200k one
+// as a $200k one is from $400k
+function logDistance(a, b) {
+  if (!(a > 0) || !(b > 0)) return null;
+  return Math.abs(Math.log(a / b));
+}
+
+function sameLocation(a, b) {
+  if (!a || !b) return false;
+  const x = a.trim().toLowerCase();
+  const y = b.trim().toLowerCase();
+  return x.includes(y) || y.includes(x);
+}
+
+function score(sale, { region, location, sde, annualRevenue }) {
+  let distance = logDistance(sale.sde, sde) ?? 1;
+  const revenue = logDistance(sale.annualRevenue, annualRevenue);
+  if (revenue != null) distance += revenue * 0.5;
+  if (sale.region !== region) distance += 0.5;
+  if (sameLocation(sale.location, location)) distance -= 0.2;
+  return distance;
+}
+
+// Nearest comps in the same category, preferring the request's region.
+// Other regions are only used when the local pool is too small; multiples
+// compare across currencies, prices don't.
+export function findComparables(
+  { category, region, location, sde, annualRevenue },
+  { limit = DEFAULT_LIMIT } = {}
+) {
+  if (isSampleData()) return [];
+  const inCategory = loadComparableSales().filter(
+    (sale) => sale.category === category
+  );
+  const local = inCategory.filter((sale) => sale.region === region);
+  const pool = local.length >= MIN_SAME_REGION ? local : inCategory;
+
+  return pool
+    .map((sale) => ({
+      sale,
+      distance: score(sale, { region, location, sde, annualRevenue }),
+    }))
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, limit)
+    .map(({ sale }) => ({ ...sale, multiple: Math.round(sale.multiple * 100) / 100 }));
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Median and spread (lowest–highest) of the comps' SDE multiples, or null
+// when there are none
+export function summarizeComparables(comps) {
+  if (!comps.length) return null;
+  const multiples = comps.map((comp) => comp.multiple);
+  const round1 = (n) => Math.round(n * 10) / 10;
+  return {
+    count: comps.length,
+    medianMultiple: round1(median(multiples)),
+    lowMultiple: round1(Math.min(...multiples)),
+    highMultiple: round1(Math.max(...multiples)),
+  };
+}
+
+// "median 2.3x, spread 1.8x–2.9x across 5 sales"
+export function formatComparablesSummary(summary) {
+  if (!summary) return "";
+  const sales = summary.count === 1 ? "sale" : "sales";
+  return `median ${summary.medianMultiple.toFixed(1)}x, spread ${summary.lowMultiple.toFixed(1)}x–${summary.highMultiple.toFixed(1)}x across ${summary.count} comparable ${sales}`;
+}
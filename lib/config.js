@@ -0,0 +1,4 @@
+// Public URL of this deployment, used for thumbnails and report links
+export const PUBLIC_BASE_URL = (
+  process.env.PUBLIC_BASE_URL || "https://bth-valuation-api.vercel.app"
+).replace(/\/+$/, "");
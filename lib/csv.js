@@ -0,0 +1,69 @@
+// Minimal RFC 4180 CSV: quoted fields, escaped quotes ("") and line breaks
+// inside quotes. Enough for spreadsheet exports; no type inference.
+
+// Parse CSV text into one object per data row, keyed by the header row.
+// Blank lines are skipped.
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const input = String(text ?? "").replace(/^﻿/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const c = input[i];
+    if (quoted) {
+      if (c === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ",") {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const nonBlank = rows.filter((r) => r.some((value) => value.trim() !== ""));
+  if (!nonBlank.length) return [];
+
+  const [header, ...data] = nonBlank;
+  const keys = header.map((key) => key.trim());
+  return data.map((values) =>
+    Object.fromEntries(keys.map((key, i) => [key, values[i] ?? ""]))
+  );
+}
+
+function csvField(value) {
+  if (value == null) return "";
+  const s = String(value);
+  // Leading =, +, -, @, tab or CR would run as a formula when opened in a
+  // spreadsheet; only plain numbers (negative amounts) are left alone
+  const safe =
+    /^[=+\-@\t\r]/.test(s) && !/^-?\d+(\.\d+)?$/.test(s) ? `'${s}` : s;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+// Serialise objects to CSV using `columns` (default: keys of the first row)
+export function toCsv(rows, columns = Object.keys(rows[0] || {})) {
+  return [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((values) => values.map(csvField).join(","))
+    .join("\r\n");
+}
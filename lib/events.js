@@ -0,0 +1,106 @@
+import {
+  getStore,
+  newId,
+  dayCollection,
+  dayCollections,
+  dropDayCollections,
+} from "./store.js";
+
+// Request event log behind the admin analytics (lib/analytics.js). The
+// valuation handler writes one event per request whatever the outcome:
+// rejections carry just the outcome and timing, completed valuations add
+// the figures, model attempts, email result and experiment variants. The
+// click tracker (api/click.js) logs CTA clicks the same way. No email
+// addresses or IPs.
+//
+// Logging is best effort; a failed write never fails the request.
+//
+// Events go into one collection per UTC day ("events-2026-10-18"), so a
+// report only reads the days it covers, and days older than
+// EVENT_RETENTION_DAYS are dropped by the cron (purgeOldEvents).
+
+const COLLECTION = "events";
+const RETENTION_DAYS = Number(process.env.EVENT_RETENTION_DAYS) || 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Days read at once when listing
+const READ_CONCURRENCY = 10;
+
+// Fields of a completed valuation worth aggregating
+export function valuationEventFields({ record, stored, emailStatus, emailMs }) {
+  const { input, valuation, llm } = record;
+  const attempts = llm?.attempts || [];
+  return {
+    valuationId: stored ? record.id : null,
+    businessType: input.businessType,
+    location: input.location || null,
+    region: valuation.region,
+    currency: valuation.currency,
+    chosenCategory: valuation.chosenCategory,
+    confidence: valuation.confidence,
+    source: valuation.source,
+    annualProfit: input.annualProfit,
+    sde: valuation.sde?.sde ?? null,
+    lowEstimate: valuation.lowEstimate,
+    highEstimate: valuation.highEstimate,
+    recommendedPrice: valuation.recommendedPrice,
+    llm: {
+      model: llm?.model || null,
+      attempts: attempts.length,
+      failedAttempts: attempts.filter((attempt) => !attempt.ok).length,
+      durationMs: llm?.durationMs ?? null,
+    },
+    email: { status: emailStatus, durationMs: emailMs ?? null },
+    experiments: record.experiments || {},
+  };
+}
+
+// `started` is the request's start time in ms; `status` its HTTP status
+export async function logEvent({ route, started, status, ...fields }) {
+  const event = {
+    id: newId(),
+    at: new Date(started).toISOString(),
+    route,
+    status,
+    durationMs: Date.now() - started,
+    ...fields,
+  };
+  try {
+    await getStore().put(dayCollection(COLLECTION, event.at), event.id, event);
+  } catch (err) {
+    console.error("Event log error:", err);
+  }
+  return event;
+}
+
+// Events with from <= at < to, oldest first. Only days that can hold
+// events are read: none older than the retention window, none in the future.
+export async function listEvents({ from, to }, { now = new Date() } = {}) {
+  const oldest = new Date(now.getTime() - RETENTION_DAYS * DAY_MS);
+  const latest = new Date(now.getTime() + DAY_MS);
+  const days = dayCollections(
+    COLLECTION,
+    from > oldest ? from : oldest,
+    to < latest ? to : latest
+  );
+  const events = [];
+  for (let i = 0; i < days.length; i += READ_CONCURRENCY) {
+    const lists = await Promise.all(
+      days.slice(i, i + READ_CONCURRENCY).map((day) => getStore().list(day))
+    );
+    events.push(...lists.flat());
+  }
+  return events
+    .filter((event) => {
+      const at = new Date(event.at);
+      return at >= from && at < to;
+    })
+    .sort((a, b) => a.at.localeCompare(b.at));
+}
+
+// Drop the days older than EVENT_RETENTION_DAYS. Run from the cron.
+export async function purgeOldEvents({ now = new Date() } = {}) {
+  return dropDayCollections(
+    COLLECTION,
+    new Date(now.getTime() - RETENTION_DAYS * DAY_MS)
+  );
+}
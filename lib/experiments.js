@@ -0,0 +1,108 @@
+import { createHash, randomUUID } from "node:crypto";
+
+// A/B experiments on the valuation prompt and the report email's copy.
+//
+// Each experiment fills one slot ("prompt" or "email") with one of its named
+// variants. A request gets a variant per experiment from a hash of the email
+// address, so a seller who comes back sees the same version; the
+// assignment is stored on the valuation record and carried by CTA clicks
+// (api/click.js), and the admin analytics compares click-through by variant.
+//
+// The first variant is the control and is what everyone gets from a slot
+// with no active experiment, or with EXPERIMENTS=off. Changing a running
+// experiment's variants or weights reshuffles who sees what, so start a
+// new experiment id instead.
+//
+// Variant fields by slot:
+//   prompt  rules: extra lines for the prompt's Rules list
+//   email   subject / preheader / ctaText: functions of the report view,
+//           each falling back to the template's default when left out
+
+export const EXPERIMENTS = [
+  {
+    id: "prompt-plain-english-1",
+    slot: "prompt",
+    active: true,
+    variants: [
+      { id: "control" },
+      {
+        id: "plain_english",
+        rules: [
+          "Write notes and improvementIdeas in plain English for a first-time seller; explain any term like SDE or multiple in the same sentence.",
+        ],
+      },
+    ],
+  },
+  {
+    id: "email-copy-1",
+    slot: "email",
+    active: true,
+    variants: [
+      { id: "control" },
+      {
+        id: "price_first",
+        subject: (view) =>
+          `Your ${view.businessType} business could list at ${view.recStr} ${view.currency}`,
+        preheader: (view) =>
+          `Estimated sale range ${view.lowStr} – ${view.highStr} ${view.currency}, plus a draft listing ready to publish.`,
+      },
+      {
+        id: "listing_ready",
+        subject: (view) => `Your ${view.businessType} listing is drafted and ready`,
+        ctaText: () => "Review your draft listing",
+      },
+    ],
+  },
+];
+
+function enabled() {
+  return !/^(off|false|0)$/i.test(process.env.EXPERIMENTS || "");
+}
+
+function activeExperiment(slot) {
+  return EXPERIMENTS.find((e) => e.active && e.slot === slot) || null;
+}
+
+// Deterministic point in [0, 1) for this unit within this experiment
+function bucket(experimentId, unit) {
+  const hash = createHash("sha256").update(`${experimentId}:${unit}`).digest();
+  return hash.readUInt32BE(0) / 2 ** 32;
+}
+
+function pickVariant(experiment, unit) {
+  const weights = experiment.variants.map((v) => v.weight ?? 1);
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  let point = bucket(experiment.id, unit) * total;
+  for (const [i, variant] of experiment.variants.entries()) {
+    point -= weights[i];
+    if (point < 0) return variant;
+  }
+  return experiment.variants[0];
+}
+
+// { experimentId: variantId } for every active experiment. Requests without
+// an email are assigned at random, since there's nothing to keep sticky.
+export function assignVariants(email) {
+  if (!enabled()) return {};
+  const unit = email ? String(email).trim().toLowerCase() : randomUUID();
+  return Object.fromEntries(
+    EXPERIMENTS.filter((e) => e.active).map((e) => [e.id, pickVariant(e, unit).id])
+  );
+}
+
+// The variant a slot uses under these assignments; an empty object (the
+// template defaults) when the slot isn't being tested
+export function variantFor(slot, assignments = {}) {
+  const experiment = activeExperiment(slot);
+  if (!experiment) return {};
+  const id = assignments[experiment.id];
+  return experiment.variants.find((v) => v.id === id) || experiment.variants[0];
+}
+
+// Assignments with a slot forced to a named variant, for previews. Returns
+// null when the slot has no active experiment or no such variant.
+export function forceVariant(assignments, slot, variantId) {
+  const experiment = activeExperiment(slot);
+  if (!experiment?.variants.some((v) => v.id === variantId)) return null;
+  return { ...assignments, [experiment.id]: variantId };
+}
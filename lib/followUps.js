@@ -0,0 +1,69 @@
+import { scheduleJob, registerJobHandler } from "./jobQueue.js";
+import { getValuationRecord, reportUrl } from "./records.js";
+import { isSuppressed, unsubscribeUrl } from "./suppression.js";
+import { sendMail } from "./mailer.js";
+import { clickUrl } from "./clicks.js";
+import {
+  renderFollowUpEmail,
+  renderFollowUpText,
+  followUpSubject,
+} from "./templates/followUpEmail.js";
+
+// Follow-up sequence after a valuation email has gone out. Each step is a
+// queued job that re-reads the stored valuation when it runs, so it sends
+// the original figures and sees any unsubscribe that happened in between.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const FOLLOW_UP_JOB = "followUpEmail";
+
+export const FOLLOW_UP_SEQUENCE = [
+  { step: "ready_to_list", delayDays: 3 },
+  { step: "market_update", delayDays: 10 },
+];
+
+const ENABLED = process.env.FOLLOW_UP_EMAILS !== "off";
+
+export async function scheduleFollowUps(record, { now = Date.now() } = {}) {
+  if (!ENABLED || !record.input?.email) return [];
+  return Promise.all(
+    FOLLOW_UP_SEQUENCE.map(({ step, delayDays }) =>
+      scheduleJob({
+        type: FOLLOW_UP_JOB,
+        runAt: now + delayDays * DAY,
+        data: { valuationId: record.id, step },
+      })
+    )
+  );
+}
+
+async function sendFollowUp({ valuationId, step }) {
+  const record = await getValuationRecord(valuationId);
+  if (!record) return "record_missing";
+
+  const { email } = record.input;
+  if (!email) return "no_email";
+  if (await isSuppressed(email)) return "suppressed";
+
+  const data = {
+    step,
+    input: record.input,
+    valuation: record.valuation,
+    issuedAt: record.createdAt,
+    reportUrl: reportUrl(record.id),
+    unsubscribeUrl: unsubscribeUrl(email),
+    ctaUrl: record.listingDraftId ? clickUrl(record.id, step) : undefined,
+  };
+
+  const { error } = await sendMail({
+    to: email,
+    subject: followUpSubject(data),
+    html: renderFollowUpEmail(data),
+    text: renderFollowUpText(data),
+  });
+  // Throwing leaves the job queued for another attempt
+  if (error) throw new Error(`Resend error: ${error.message || error.name}`);
+  return "sent";
+}
+
+registerJobHandler(FOLLOW_UP_JOB, sendFollowUp);
@@ -0,0 +1,31 @@
+import { getRegion } from "./regions.js";
+
+// Helper to format amounts nicely in the region's number locale
+export function formatAmount(value, region = getRegion()) {
+  if (value == null || isNaN(value)) return "-";
+  return Math.round(Number(value)).toLocaleString(region.locale);
+}
+
+function isMissing(value) {
+  return value == null || isNaN(value);
+}
+
+// Amount with the currency symbol: $450,000 / £450,000. Optional fields
+// left blank read "not provided" rather than "$-".
+export function formatMoney(value, region = getRegion()) {
+  if (isMissing(value)) return "not provided";
+  return `${region.symbol}${formatAmount(value, region)}`;
+}
+
+// Signed amount for reconciliation rows: -$20,000 rather than $-20,000
+export function formatSignedMoney(value, region = getRegion()) {
+  return `${Number(value) < 0 ? "-" : ""}${formatMoney(Math.abs(value), region)}`;
+}
+
+export function formatIssuedDate(date, region = getRegion()) {
+  return new Date(date).toLocaleDateString(region.locale, {
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+  });
+}
@@ -0,0 +1,133 @@
+import { ADD_BACK_FIELDS, calculateSde } from "./addBacks.js";
+import { resolveRegionCode } from "./regions.js";
+
+// Validation + normalisation for the valuation request body.
+// Framer sends whatever the user typed, so amounts arrive as "$450k",
+// "1.2m", "450,000" or "about 300000". Errors are reported per field with a
+// short code the form can map to a message next to each input.
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+const MULTIPLIERS = { k: 1e3, m: 1e6, b: 1e9 };
+
+const AMOUNT_RE =
+  /^[^\d]*?(-?(?:\d{1,3}(?:,\d{3})+|\d+)(?:\.\d+)?)\s*(k|m|mil|million|b|bn|thousand)?\b[^\d]*$/;
+
+const MAX_TEXT = 200;
+const MAX_YEARS = 200;
+const MAX_STAFF = 100000;
+
+// Parse currency/number shorthand. Returns null for empty, NaN for junk.
+export function parseAmount(raw) {
+  if (raw == null) return null;
+  if (typeof raw === "number") return Number.isFinite(raw) ? raw : NaN;
+
+  const s = String(raw).trim().toLowerCase();
+  if (!s) return null;
+
+  // Exactly one number, with optional thousands separators and suffix, and
+  // words or symbols around it ("$", "about", "aud"). Anything else with a
+  // digit in it ("1e6", "250 000", "300k-400k") is junk, not a guess.
+  const match = s.match(AMOUNT_RE);
+  if (!match) return NaN;
+
+  let value = Number(match[1].replace(/,/g, ""));
+  const suffix = match[2];
+  if (suffix) {
+    if (suffix === "thousand") value *= MULTIPLIERS.k;
+    else if (suffix.startsWith("m")) value *= MULTIPLIERS.m;
+    else value *= MULTIPLIERS[suffix[0]];
+  }
+  return value;
+}
+
+function cleanText(raw) {
+  if (raw == null) return "";
+  return String(raw).replace(/\s+/g, " ").trim();
+}
+
+// Opt-out flags (sendEmail, sendEmails) from JSON, a form or a query string:
+// only an explicit false / "false" / "0" / "no" turns the option off
+export function isFalseFlag(value) {
+  return value === false || /^(false|0|no)$/i.test(String(value ?? ""));
+}
+
+export function isValidEmail(email) {
+  return EMAIL_RE.test(email);
+}
+
+// Returns { ok: true, value } or { ok: false, errors: { field: code } }.
+// Email is only required when the valuation is delivered by email.
+export function validateValuationInput(body = {}, { requireEmail = true } = {}) {
+  const errors = {};
+  const value = {};
+
+  value.businessType = cleanText(body.businessType);
+  if (!value.businessType) errors.businessType = "required";
+  else if (value.businessType.length > MAX_TEXT) errors.businessType = "too_long";
+
+  value.location = cleanText(body.location);
+  if (value.location.length > MAX_TEXT) errors.location = "too_long";
+
+  // Region drives currency, locale and market multiples; Australia by
+  // default. A blank region field doesn't hide a country sent alongside it.
+  value.region = resolveRegionCode(
+    cleanText(body.region) || cleanText(body.country)
+  );
+  if (!value.region) errors.region = "unsupported_region";
+
+  value.email = cleanText(body.email).toLowerCase();
+  if (!value.email) {
+    if (requireEmail) errors.email = "required";
+  } else if (!isValidEmail(value.email)) errors.email = "invalid_email";
+
+  // Optional owner add-backs, flat (as Framer sends them) or under `addBacks`
+  value.addBacks = {};
+  for (const { key } of ADD_BACK_FIELDS) {
+    const amount = parseAmount(body.addBacks?.[key] ?? body[key]);
+    if (amount == null) continue;
+    if (Number.isNaN(amount)) errors[key] = "invalid_number";
+    else if (amount < 0) errors[key] = "must_be_non_negative";
+    else if (amount > 0) value.addBacks[key] = amount;
+  }
+
+  // Net profit may be zero or negative once the owner's salary is added back;
+  // what has to be positive is the resulting SDE.
+  value.annualProfit = parseAmount(body.annualProfit);
+  if (value.annualProfit == null) errors.annualProfit = "required";
+  else if (Number.isNaN(value.annualProfit)) errors.annualProfit = "invalid_number";
+  else if (calculateSde(value).sde <= 0) errors.annualProfit = "must_be_positive";
+
+  value.annualRevenue = parseAmount(body.annualRevenue);
+  if (Number.isNaN(value.annualRevenue)) errors.annualRevenue = "invalid_number";
+  else if (value.annualRevenue != null && value.annualRevenue < 0) {
+    errors.annualRevenue = "must_be_non_negative";
+  } else if (
+    value.annualRevenue != null &&
+    !errors.annualProfit &&
+    value.annualProfit > value.annualRevenue
+  ) {
+    errors.annualProfit = "exceeds_revenue";
+  }
+
+  value.yearsOperating = parseAmount(body.yearsOperating);
+  if (Number.isNaN(value.yearsOperating)) errors.yearsOperating = "invalid_number";
+  else if (value.yearsOperating != null && value.yearsOperating < 0) {
+    errors.yearsOperating = "must_be_non_negative";
+  } else if (value.yearsOperating > MAX_YEARS) {
+    errors.yearsOperating = "out_of_range";
+  }
+
+  value.staffCount = parseAmount(body.staffCount);
+  if (Number.isNaN(value.staffCount)) errors.staffCount = "invalid_number";
+  else if (value.staffCount != null && !Number.isInteger(value.staffCount)) {
+    errors.staffCount = "must_be_integer";
+  } else if (value.staffCount != null && value.staffCount < 0) {
+    errors.staffCount = "must_be_non_negative";
+  } else if (value.staffCount > MAX_STAFF) {
+    errors.staffCount = "out_of_range";
+  }
+
+  if (Object.keys(errors).length) return { ok: false, errors };
+  return { ok: true, value };
+}
@@ -0,0 +1,165 @@
+import { getStore, newId, dayCollection, dropDayCollections } from "./store.js";
+
+// Delayed job queue. Jobs are plain records:
+//
+//   { id, type, runAt, data, status, attempts, lastError, createdAt, ... }
+//
+// status: "queued" → "running" → "done" | "failed" | "cancelled".
+//
+// The default queue keeps jobs in the document store and is drained by the
+// cron route (api/cron/jobs.js). Follow-ups, batches and webhook retries
+// depend on it, so it needs the shared durable store on Vercel (see
+// lib/store.js). Only queued and running jobs stay in "jobs"; finished ones
+// move to a collection per day and are dropped after JOB_RETENTION_DAYS, so
+// due() never reads the history. A hosted queue (QStash, SQS…) only needs
+// enqueue / due / update (and optionally purge) and can be swapped in with
+// setJobQueue().
+
+const COLLECTION = "jobs";
+const FINISHED = "finishedJobs";
+const FINISHED_STATUSES = ["done", "failed", "cancelled"];
+
+const MAX_ATTEMPTS = Number(process.env.JOB_MAX_ATTEMPTS) || 3;
+const RETRY_DELAY_MS = Number(process.env.JOB_RETRY_DELAY_MS) || 15 * 60 * 1000;
+// A job left "running" this long (crashed invocation) is picked up again
+const LOCK_MS = 10 * 60 * 1000;
+const RETENTION_DAYS = Number(process.env.JOB_RETENTION_DAYS) || 30;
+// No new job is started after this long, so one cron invocation stays well
+// inside the function timeout; the rest wait for the next run
+const RUN_BUDGET_MS = Number(process.env.JOB_RUN_BUDGET_MS) || 2 * 60 * 1000;
+
+export function createStoreJobQueue(store = getStore()) {
+  return {
+    async enqueue(job) {
+      return store.put(COLLECTION, job.id, job);
+    },
+    async due(now, limit) {
+      const jobs = await store.list(COLLECTION);
+      return jobs
+        .filter(
+          (job) =>
+            (job.status === "queued" && new Date(job.runAt) <= now) ||
+            (job.status === "running" && new Date(job.lockedUntil) <= now)
+        )
+        .sort((a, b) => new Date(a.runAt) - new Date(b.runAt))
+        .slice(0, limit);
+    },
+    async update(job) {
+      if (!FINISHED_STATUSES.includes(job.status)) {
+        return store.put(COLLECTION, job.id, job);
+      }
+      const day = dayCollection(FINISHED, job.finishedAt || Date.now());
+      await store.put(day, job.id, job);
+      await store.remove(COLLECTION, job.id);
+      return job;
+    },
+    // Drop finished jobs from before `before`
+    async purge(before) {
+      return dropDayCollections(FINISHED, before, { store });
+    },
+  };
+}
+
+let queue = null;
+
+export function getJobQueue() {
+  if (!queue) queue = createStoreJobQueue();
+  return queue;
+}
+
+export function setJobQueue(next) {
+  queue = next;
+}
+
+const handlers = new Map();
+
+// handler(data, job) runs the job. Throw to retry later; return a short
+// string ("sent", "skipped"…) to record as the job's result.
+export function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+export async function scheduleJob({ type, runAt, data = {} }) {
+  const job = {
+    id: newId(),
+    type,
+    runAt: new Date(runAt).toISOString(),
+    data,
+    status: "queued",
+    attempts: 0,
+    lastError: null,
+    createdAt: new Date().toISOString(),
+  };
+  await getJobQueue().enqueue(job);
+  return job;
+}
+
+// Run the jobs that are due. Each job is handled on its own so one failure
+// never stops the batch. Returns counts for the cron log.
+export async function runDueJobs({
+  now = new Date(),
+  limit = 50,
+  budgetMs = RUN_BUDGET_MS,
+} = {}) {
+  const started = Date.now();
+  const jobQueue = getJobQueue();
+  const due = await jobQueue.due(now, limit);
+  const summary = { due: due.length, done: 0, retrying: 0, failed: 0 };
+
+  for (const job of due) {
+    if (Date.now() - started > budgetMs) break;
+    const handler = handlers.get(job.type);
+    if (!handler) {
+      await jobQueue.update({
+        ...job,
+        status: "failed",
+        lastError: `No handler for job type "${job.type}"`,
+        finishedAt: new Date().toISOString(),
+      });
+      summary.failed++;
+      continue;
+    }
+
+    const running = {
+      ...job,
+      status: "running",
+      attempts: job.attempts + 1,
+      lockedUntil: new Date(Date.now() + LOCK_MS).toISOString(),
+    };
+    await jobQueue.update(running);
+
+    try {
+      const result = await handler(job.data, running);
+      await jobQueue.update({
+        ...running,
+        status: "done",
+        result: result ?? null,
+        finishedAt: new Date().toISOString(),
+      });
+      summary.done++;
+    } catch (err) {
+      console.error(`Job ${job.type} ${job.id} failed:`, err);
+      const retry = running.attempts < MAX_ATTEMPTS;
+      await jobQueue.update({
+        ...running,
+        status: retry ? "queued" : "failed",
+        runAt: retry
+          ? new Date(Date.now() + RETRY_DELAY_MS * running.attempts).toISOString()
+          : running.runAt,
+        lastError: err.message,
+        ...(retry ? {} : { finishedAt: new Date().toISOString() }),
+      });
+      summary[retry ? "retrying" : "failed"]++;
+    }
+  }
+
+  return summary;
+}
+
+// Remove finished jobs older than JOB_RETENTION_DAYS. Run from the cron.
+export async function purgeFinishedJobs({ now = new Date() } = {}) {
+  const jobQueue = getJobQueue();
+  if (!jobQueue.purge) return 0;
+  const cutoff = new Date(now.getTime() - RETENTION_DAYS * 24 * 60 * 60 * 1000);
+  return jobQueue.purge(cutoff);
+}
@@ -0,0 +1,53 @@
+// Minimal client for a Redis-compatible REST API (Vercel KV / Upstash),
+// over fetch so no SDK is needed. Commands are arrays: ["SET", key, value].
+//
+//   KV_REST_API_URL    https://<db>.upstash.io (set by Vercel KV)
+//   KV_REST_API_TOKEN  bearer token with write access
+
+export function kvConfigured() {
+  return Boolean(process.env.KV_REST_API_URL && process.env.KV_REST_API_TOKEN);
+}
+
+export function createKvClient({
+  url = process.env.KV_REST_API_URL,
+  token = process.env.KV_REST_API_TOKEN,
+  fetchImpl = (...args) => fetch(...args),
+} = {}) {
+  if (!url || !token) {
+    throw new Error("KV_REST_API_URL and KV_REST_API_TOKEN must be set");
+  }
+  const base = url.replace(/\/+$/, "");
+
+  const post = async (path, body) => {
+    const response = await fetchImpl(`${base}${path}`, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${token}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(body),
+    });
+    const payload = await response.json().catch(() => null);
+    if (!response.ok || !payload) {
+      throw new Error(`KV ${response.status}: ${payload?.error || "bad response"}`);
+    }
+    return payload;
+  };
+
+  return {
+    async command(...args) {
+      const { result, error } = await post("", args);
+      if (error) throw new Error(`KV ${args[0]}: ${error}`);
+      return result;
+    },
+    // Several commands in one round trip; results in order
+    async pipeline(commands) {
+      if (!commands.length) return [];
+      const replies = await post("/pipeline", commands);
+      return replies.map(({ result, error }, i) => {
+        if (error) throw new Error(`KV ${commands[i][0]}: ${error}`);
+        return result;
+      });
+    },
+  };
+}
@@ -0,0 +1,74 @@
+import { getStore, isValidId, newId } from "./store.js";
+import { createToken, readToken } from "./tokens.js";
+
+// Listing drafts: everything the marketplace needs to prefill a new listing
+// from a valuation. The email CTA carries a signed, expiring token; the
+// marketplace exchanges it for the draft at /api/listing-draft.
+
+const COLLECTION = "listingDrafts";
+const LISTING = "listing";
+
+const TOKEN_TTL_SEC =
+  Number(process.env.LISTING_LINK_TTL_SEC) || 30 * 24 * 60 * 60;
+
+// Marketplace page that accepts ?draft=<token>
+export const LISTING_START_URL = (
+  process.env.LISTING_START_URL || "https://biztradehub.com/sell"
+).replace(/\/+$/, "");
+
+export function buildListingDraft(record) {
+  const { input, valuation } = record;
+  return {
+    id: newId(),
+    valuationId: record.id,
+    createdAt: new Date().toISOString(),
+    businessType: input.businessType,
+    location: input.location || null,
+    region: valuation.region,
+    currency: valuation.currency,
+    listingTitle: valuation.listingTitle,
+    listingIntro: valuation.listingIntro,
+    listingBullets: Array.isArray(valuation.listingBullets)
+      ? valuation.listingBullets
+      : [],
+    askingPrice: valuation.recommendedPrice,
+    priceRange: {
+      low: valuation.lowEstimate,
+      high: valuation.highEstimate,
+    },
+    financials: {
+      annualRevenue: input.annualRevenue ?? null,
+      annualProfit: input.annualProfit ?? null,
+      sde: valuation.sde?.sde ?? input.annualProfit ?? null,
+      addBacks: valuation.sde?.lines || [],
+      yearsOperating: input.yearsOperating ?? null,
+      staffCount: input.staffCount ?? null,
+    },
+    imageCategory: valuation.chosenCategory,
+    thumbUrl: valuation.thumbUrl,
+  };
+}
+
+export async function saveListingDraft(draft) {
+  return getStore().put(COLLECTION, draft.id, draft);
+}
+
+export async function getListingDraft(id) {
+  if (!isValidId(id)) return null;
+  return getStore().get(COLLECTION, id);
+}
+
+export function listingToken(draftId) {
+  return createToken(LISTING, { draftId }, { expiresInSec: TOKEN_TTL_SEC });
+}
+
+// Null when the token is invalid or has expired
+export function readListingToken(token) {
+  return readToken(token, LISTING)?.draftId || null;
+}
+
+// Deep link for "Start your listing from this estimate". A fresh token is
+// minted each time, so a follow-up sent on day 10 gets a full TTL.
+export function listingUrl(draftId) {
+  return `${LISTING_START_URL}?draft=${listingToken(draftId)}`;
+}
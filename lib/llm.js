@@ -0,0 +1,258 @@
+import OpenAI from "openai";
+import { parseAmount } from "./input.js";
+
+// LLM client layer: a provider abstraction around the chat completion call,
+// strict validation of the valuation JSON, retries with a repair prompt,
+// a hard timeout per attempt, an overall deadline and a fallback model.
+//
+// A provider is any object with
+//   complete({ model, messages, signal }) → Promise<string>
+// so tests and offline runs can swap in createFakeProvider().
+
+export const PRIMARY_MODEL = process.env.OPENAI_MODEL || "gpt-4.1-mini";
+export const FALLBACK_MODEL = process.env.OPENAI_FALLBACK_MODEL || "gpt-4o-mini";
+
+const TIMEOUT_MS = Number(process.env.LLM_TIMEOUT_MS) || 20000;
+// Across every attempt and model, so a hanging API hands over to the
+// rule-based fallback in bounded time
+const TOTAL_TIMEOUT_MS = Number(process.env.LLM_TOTAL_TIMEOUT_MS) || 30000;
+const MAX_ATTEMPTS = Number(process.env.LLM_MAX_ATTEMPTS) || 2;
+const BACKOFF_MS = 500;
+
+export const CONFIDENCE_LEVELS = ["Low", "Medium", "High"];
+
+const AMOUNT_KEYS = ["lowEstimate", "highEstimate", "recommendedPrice"];
+const TEXT_KEYS = ["multipleRange", "sellTime", "listingTitle", "listingIntro"];
+const LINES_KEYS = ["notes", "improvementIdeas"];
+const MAX_BULLETS = 5;
+
+export class LlmError extends Error {
+  constructor(message, { attempts = [] } = {}) {
+    super(message);
+    this.name = "LlmError";
+    this.attempts = attempts;
+  }
+}
+
+export function createOpenAIProvider({
+  apiKey = process.env.OPENAI_API_KEY,
+  client,
+} = {}) {
+  // Retries and timeouts are handled here, not by the SDK
+  const openai = client || new OpenAI({ apiKey, maxRetries: 0 });
+
+  return {
+    name: "openai",
+    async complete({ model, messages, signal }) {
+      const completion = await openai.chat.completions.create(
+        { model, messages, response_format: { type: "json_object" } },
+        { signal }
+      );
+      return completion.choices?.[0]?.message?.content || "";
+    },
+  };
+}
+
+// Offline provider. `reply` is a fixed object/string, an array of replies
+// used in turn (the last one repeats), or a function of the call.
+export function createFakeProvider(reply) {
+  const calls = [];
+
+  return {
+    name: "fake",
+    calls,
+    async complete({ model, messages }) {
+      calls.push({ model, messages });
+      let next = reply;
+      if (Array.isArray(reply)) next = reply[Math.min(calls.length, reply.length) - 1];
+      if (typeof next === "function") next = await next({ model, messages });
+      if (next instanceof Error) throw next;
+      return typeof next === "string" ? next : JSON.stringify(next);
+    },
+  };
+}
+
+let provider = null;
+
+export function getLlmProvider() {
+  if (!provider) provider = createOpenAIProvider();
+  return provider;
+}
+
+export function setLlmProvider(next) {
+  provider = next;
+}
+
+function splitLines(value) {
+  return value
+    .split(/\n|•/)
+    .map((line) => line.replace(/^\s*[-*]\s*/, "").trim())
+    .filter(Boolean);
+}
+
+// Validate a parsed reply against the valuation schema, coercing values that
+// are recoverable ("$450,000" → 450000, "medium" → "Medium", bullet string →
+// array). Returns { ok, value, errors }.
+export function validateValuationReply(reply, { categories = [] } = {}) {
+  if (!reply || typeof reply !== "object" || Array.isArray(reply)) {
+    return { ok: false, value: null, errors: ["reply must be a JSON object"] };
+  }
+
+  const errors = [];
+  const value = {};
+
+  for (const key of AMOUNT_KEYS) {
+    const amount =
+      typeof reply[key] === "number" ? reply[key] : parseAmount(reply[key]);
+    if (amount == null || !Number.isFinite(amount) || amount <= 0) {
+      errors.push(`${key} must be a positive number`);
+    } else {
+      value[key] = amount;
+    }
+  }
+
+  const confidence = CONFIDENCE_LEVELS.find(
+    (level) => level.toLowerCase() === String(reply.confidence ?? "").trim().toLowerCase()
+  );
+  if (confidence) value.confidence = confidence;
+  else errors.push(`confidence must be one of ${CONFIDENCE_LEVELS.join(", ")}`);
+
+  for (const key of TEXT_KEYS) {
+    const text = reply[key];
+    if (typeof text === "string" && text.trim()) value[key] = text.trim();
+    else if (typeof text === "number") value[key] = String(text);
+    else errors.push(`${key} must be a non-empty string`);
+  }
+
+  for (const key of LINES_KEYS) {
+    const text = reply[key];
+    if (typeof text === "string" && text.trim()) value[key] = text.trim();
+    else if (Array.isArray(text)) value[key] = text.map(String).join("\n");
+    else errors.push(`${key} must be a string`);
+  }
+
+  let bullets = reply.listingBullets;
+  if (typeof bullets === "string") bullets = splitLines(bullets);
+  if (Array.isArray(bullets)) {
+    bullets = bullets
+      .filter((b) => typeof b === "string" || typeof b === "number")
+      .map((b) => String(b).trim())
+      .filter(Boolean);
+  }
+  if (Array.isArray(bullets) && bullets.length) {
+    value.listingBullets = bullets.slice(0, MAX_BULLETS);
+  } else {
+    errors.push("listingBullets must be an array of strings");
+  }
+
+  // An unknown category is not worth a retry: leave it to the heuristic
+  const category = String(reply.imageCategory ?? "").toLowerCase().trim();
+  value.imageCategory = categories.includes(category) ? category : null;
+
+  return errors.length
+    ? { ok: false, value: null, errors }
+    : { ok: true, value, errors: [] };
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function completeWithTimeout(llm, { model, messages, timeoutMs }) {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new LlmError(`Timed out after ${timeoutMs}ms`));
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([
+      llm.complete({ model, messages, signal: controller.signal }),
+      timeout,
+    ]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function repairMessage(errors) {
+  return [
+    "Your previous reply did not match the required JSON format:",
+    ...errors.map((e) => `- ${e}`),
+    "Reply again with ONLY the corrected JSON object, including every key.",
+  ].join("\n");
+}
+
+// Ask for a valuation, retrying with backoff and a repair prompt, then falling
+// back to the secondary model, until `totalTimeoutMs` runs out. Resolves
+// { value, raw, model, attempts } or throws LlmError carrying every attempt.
+export async function requestValuation({
+  prompt,
+  categories,
+  provider: llm = getLlmProvider(),
+  models = [PRIMARY_MODEL, FALLBACK_MODEL],
+  timeoutMs = TIMEOUT_MS,
+  totalTimeoutMs = TOTAL_TIMEOUT_MS,
+  maxAttempts = MAX_ATTEMPTS,
+  backoffMs = BACKOFF_MS,
+}) {
+  const attempts = [];
+  const deadline = Date.now() + totalTimeoutMs;
+  const outOfTime = () =>
+    new LlmError(`No valid valuation within ${totalTimeoutMs}ms`, { attempts });
+
+  for (const model of [...new Set(models.filter(Boolean))]) {
+    const messages = [{ role: "user", content: prompt }];
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      if (attempt > 1) {
+        const backoff = backoffMs * 2 ** (attempt - 2);
+        // No time to wait for a retry: try the next model instead
+        if (Date.now() + backoff >= deadline) break;
+        await sleep(backoff);
+      }
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) throw outOfTime();
+
+      let content;
+      try {
+        content = await completeWithTimeout(llm, {
+          model,
+          messages,
+          timeoutMs: Math.min(timeoutMs, remaining),
+        });
+      } catch (err) {
+        console.error(`LLM ${model} attempt ${attempt} failed:`, err.message);
+        attempts.push({ model, attempt, error: err.message });
+        continue;
+      }
+
+      let raw;
+      try {
+        raw = JSON.parse(content);
+      } catch {
+        raw = null;
+      }
+      const result = raw
+        ? validateValuationReply(raw, { categories })
+        : { ok: false, errors: ["reply must be valid JSON"] };
+
+      if (result.ok) {
+        attempts.push({ model, attempt, ok: true });
+        return { value: result.value, raw, model, attempts };
+      }
+
+      console.error(`LLM ${model} attempt ${attempt} invalid:`, result.errors);
+      attempts.push({ model, attempt, errors: result.errors });
+      messages.push(
+        { role: "assistant", content: content || "" },
+        { role: "user", content: repairMessage(result.errors) }
+      );
+    }
+  }
+
+  throw new LlmError("No valid valuation from any model", { attempts });
+}
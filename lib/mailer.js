@@ -0,0 +1,32 @@
+import { Resend } from "resend";
+import { unsubscribeUrl } from "./suppression.js";
+
+// Outbound email via Resend, shared by the valuation handler and the
+// follow-up jobs so they send from the same address with the same headers.
+
+export const FROM_ADDRESS = "BizTradeHub <onboarding@resend.dev>";
+
+let resend = null;
+
+function client() {
+  if (!resend) resend = new Resend(process.env.RESEND_API_KEY);
+  return resend;
+}
+
+// Returns Resend's { data, error }. Every message carries one-click
+// List-Unsubscribe headers for the recipient.
+export async function sendMail({ to, subject, html, text, attachments }) {
+  const unsubscribe = unsubscribeUrl(to);
+  return client().emails.send({
+    from: FROM_ADDRESS,
+    to: [to],
+    subject,
+    html,
+    text,
+    attachments,
+    headers: {
+      "List-Unsubscribe": `<${unsubscribe}>`,
+      "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+    },
+  });
+}
@@ -0,0 +1,187 @@
+import PDFDocument from "pdfkit";
+import { buildReportView } from "./templates/valuationEmail.js";
+
+// Branded PDF version of the valuation report, built from the same report
+// view as the HTML email.
+
+const COLORS = {
+  brand: "#0f766e",
+  dark: "#020617",
+  text: "#111827",
+  body: "#374151",
+  muted: "#6b7280",
+  faint: "#9ca3af",
+  border: "#e5e7eb",
+  soft: "#f9fafb",
+};
+
+const MARGIN = 50;
+
+function heading(doc, text) {
+  doc.moveDown(1.2);
+  doc.font("Helvetica-Bold").fontSize(13).fillColor(COLORS.text).text(text);
+  doc.moveDown(0.4);
+}
+
+function paragraph(doc, text, color = COLORS.body) {
+  doc.font("Helvetica").fontSize(10).fillColor(color).text(text, {
+    lineGap: 3,
+  });
+}
+
+function bulletList(doc, items) {
+  doc.font("Helvetica").fontSize(10).fillColor(COLORS.body);
+  doc.list(items, { bulletRadius: 2, lineGap: 3, textIndent: 12 });
+}
+
+// Two-column label/value rows, like the email's "Based on what you told us"
+function table(doc, rows) {
+  const width = doc.page.width - MARGIN * 2;
+  for (const [label, value] of rows) {
+    const y = doc.y;
+    doc.font("Helvetica").fontSize(10).fillColor(COLORS.muted);
+    doc.text(label, MARGIN, y, { width: width / 2 });
+    doc.font("Helvetica-Bold").fillColor(COLORS.text);
+    doc.text(value, MARGIN + width / 2, y, { width: width / 2, align: "right" });
+    doc.moveDown(0.35);
+  }
+  doc.x = MARGIN;
+}
+
+function lines(text) {
+  return (text || "")
+    .split(/\n+/)
+    .map((line) => line.replace(/^[-•*]\s*/, "").trim())
+    .filter(Boolean);
+}
+
+export function renderValuationPdf(data) {
+  const view = buildReportView(data);
+  const { currency } = view;
+
+  const doc = new PDFDocument({
+    size: "A4",
+    margin: MARGIN,
+    info: {
+      Title: "BizTradeHub Valuation",
+      Author: "BizTradeHub",
+      Subject: `Valuation estimate for ${view.businessType}`,
+    },
+  });
+
+  const chunks = [];
+  const done = new Promise((resolve, reject) => {
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+  // Header band
+  const pageWidth = doc.page.width;
+  doc.rect(0, 0, pageWidth, 96).fill(COLORS.dark);
+  doc.rect(0, 92, pageWidth, 4).fill(COLORS.brand);
+  doc.font("Helvetica-Bold").fontSize(18).fillColor("#ffffff");
+  doc.text("BizTradeHub", MARGIN, 26);
+  doc.font("Helvetica").fontSize(10).fillColor("#cbd5f5");
+  doc.text("AI-powered business valuation report", MARGIN, 50);
+  doc.fontSize(9).fillColor("#e5e7eb");
+  doc.text(
+    `Prepared for: ${view.businessType}  •  Issued: ${view.issuedDate}`,
+    MARGIN,
+    68
+  );
+
+  doc.x = MARGIN;
+  doc.y = 124;
+  doc.font("Helvetica-Bold").fontSize(18).fillColor(COLORS.text);
+  doc.text("Your valuation estimate");
+  doc.moveDown(0.3);
+  paragraph(
+    doc,
+    "Based on the details you provided, your business could be worth approximately:"
+  );
+
+  // Valuation block
+  doc.moveDown(0.8);
+  const boxTop = doc.y;
+  const boxWidth = pageWidth - MARGIN * 2;
+  doc.roundedRect(MARGIN, boxTop, boxWidth, 104, 10)
+    .fillAndStroke(COLORS.soft, COLORS.border);
+  doc.font("Helvetica-Bold").fontSize(14).fillColor(COLORS.text);
+  doc.text(`Recommended listing price: ${view.recStr} ${currency}`, MARGIN + 16, boxTop + 14);
+  doc.font("Helvetica").fontSize(10).fillColor(COLORS.body);
+  doc.text(`Estimated sale range: ${view.lowStr} – ${view.highStr} ${currency}`, MARGIN + 16, boxTop + 38);
+  doc.fontSize(9).fillColor(COLORS.muted);
+  doc.text(`Multiple: ${view.multipleRange}`, MARGIN + 16, boxTop + 58);
+  doc.text(`Confidence: ${view.confidence}`, MARGIN + 16, boxTop + 71);
+  doc.text(`Expected sale window: ${view.sellTime}`, MARGIN + 16, boxTop + 84);
+  doc.x = MARGIN;
+  doc.y = boxTop + 104;
+
+  heading(doc, "Executive summary");
+  bulletList(doc, [
+    `We estimate your business could sell in the range of ${view.lowStr} – ${view.highStr} ${currency}, with a recommended listing price of ${view.recStr} ${currency}.`,
+    view.sdeLines.length
+      ? `The estimate is based primarily on your owner's earnings (SDE) of ${view.sdeStr} ${currency}: reported net profit of ${view.reportedProfitStr} plus ${view.addBacksStr} in owner add-backs, valued at typical sale multiples for similar businesses.`
+      : `The estimate is based primarily on your reported owner's earnings of ${view.profitStr} ${currency} and typical sale multiples for similar businesses.`,
+    `Assuming normal market conditions, a realistic sale window is around ${view.sellTime}.`,
+  ]);
+
+  heading(doc, "Based on what you told us");
+  table(doc, [
+    ["Business type", view.businessType],
+    ["Location", view.location],
+    ["Annual revenue", view.revenueLine],
+    ...(view.sdeLines.length
+      ? [
+          ["Reported net profit", `${view.reportedProfitStr} ${currency}`],
+          ...view.sdeLines.map((line) => [
+            `  + ${line.label}`,
+            `${line.amountStr} ${currency}`,
+          ]),
+          ["= Owner's earnings (SDE)", `${view.sdeStr} ${currency}`],
+        ]
+      : [["Annual profit / owner's earnings", `${view.profitStr} ${currency}`]]),
+    ["Years operating", String(view.yearsOperating)],
+    ["Staff count", String(view.staffCount)],
+  ]);
+
+  heading(doc, "How this valuation was calculated");
+  paragraph(
+    doc,
+    `This estimate is based on typical sale price multiples for similar small businesses in ${view.regionName}, adjusted for your industry, reported profit, and risk profile.`
+  );
+  if (view.comparables.length) {
+    doc.moveDown(0.4);
+    paragraph(doc, `Comparable sales (${view.comparablesSummary}):`);
+    bulletList(
+      doc,
+      view.comparables.map(
+        (c) => `${c.label} (sold ${c.soldDate}): SDE ${c.sdeStr}, price ${c.priceStr}, ${c.multipleStr}`
+      )
+    );
+  }
+  const noteLines = lines(view.notes);
+  if (noteLines.length) {
+    doc.moveDown(0.4);
+    bulletList(doc, noteLines);
+  }
+
+  const ideas = lines(view.improvementIdeas);
+  if (ideas.length) {
+    heading(doc, "How to potentially improve your valuation");
+    bulletList(doc, ideas);
+  }
+
+  // Disclaimer
+  doc.moveDown(1.5);
+  doc.font("Helvetica").fontSize(8).fillColor(COLORS.faint);
+  doc.text(view.disclaimer.join(" "), { lineGap: 2 });
+  doc.moveDown(0.8);
+  doc.text(
+    `BizTradeHub Pty Ltd · Sydney, Australia · © ${view.year} BizTradeHub. All rights reserved.`
+  );
+
+  doc.end();
+  return done;
+}
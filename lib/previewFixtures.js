@@ -0,0 +1,117 @@
+import { taxonomy } from "./categories.js";
+
+// Named fixtures for the email preview route (api/preview.js). Each has
+// form `input`, a canned `llmReply` that runs through the real pipeline in
+// place of the model, and optional `valuation` overrides applied afterwards
+// for states the schema check would never let through (e.g. no bullets).
+
+const BASE_INPUT = {
+  businessType: "Cafe",
+  location: "Surry Hills NSW",
+  annualRevenue: "850000",
+  annualProfit: "160000",
+  yearsOperating: "8",
+  staffCount: "6",
+};
+
+const BASE_REPLY = {
+  lowEstimate: 260000,
+  highEstimate: 380000,
+  recommendedPrice: 320000,
+  multipleRange: "1.6x–2.4x SDE",
+  confidence: "Medium",
+  sellTime: "4–9 months",
+  notes:
+    "Steady trading history supports a mid-range multiple.\nStaff in place reduce reliance on the owner.\nLease terms will matter to buyers.",
+  improvementIdeas:
+    "Document supplier agreements and rosters.\nLock in a longer lease option.\nGrow catering or wholesale revenue.",
+  listingTitle: "Busy neighbourhood café with loyal regulars",
+  listingIntro:
+    "A well-established café with strong weekday trade and a loyal local following. Fully staffed and ready for a new owner to step in.",
+  listingBullets: [
+    "Eight years of consistent trading",
+    "Trained team of six",
+    "Strong weekday breakfast and lunch trade",
+  ],
+  imageCategory: "cafe",
+};
+
+const LONG_TITLE =
+  "Exceptionally well-established, award-winning, fully managed specialty coffee and all-day brunch café with commercial kitchen, alfresco seating for sixty and a thriving catering arm serving corporate clients across the inner city";
+
+// One fixture per taxonomy category, using its first subcategory's label
+const categoryFixtures = Object.fromEntries(
+  taxonomy.categories.map((category) => {
+    const example = category.subcategories?.[0]?.label || category.label;
+    return [
+      `category-${category.id}`,
+      {
+        description: `${category.label} (${category.id}) thumbnail and copy`,
+        input: { ...BASE_INPUT, businessType: example },
+        llmReply: {
+          ...BASE_REPLY,
+          listingTitle: `Established ${example.toLowerCase()} business`,
+          imageCategory: category.id,
+        },
+      },
+    ];
+  })
+);
+
+export const PREVIEW_FIXTURES = {
+  default: {
+    description: "Typical café valuation with every field filled in",
+    input: BASE_INPUT,
+    llmReply: BASE_REPLY,
+  },
+  "missing-fields": {
+    description: "Only the required fields: no location, revenue, years or staff",
+    input: { businessType: "Cafe", annualProfit: "160000" },
+    llmReply: BASE_REPLY,
+    valuation: { notes: "", improvementIdeas: "", listingIntro: "" },
+  },
+  "long-title": {
+    description: "Very long listing title, business type and intro",
+    input: {
+      ...BASE_INPUT,
+      businessType: `Specialty coffee roaster, café and all-day brunch restaurant with catering`,
+    },
+    llmReply: {
+      ...BASE_REPLY,
+      listingTitle: LONG_TITLE,
+      listingIntro: `${LONG_TITLE}. ${BASE_REPLY.listingIntro} ${BASE_REPLY.listingIntro}`,
+    },
+  },
+  "no-bullets": {
+    description: "Listing card without any bullet points",
+    input: BASE_INPUT,
+    llmReply: BASE_REPLY,
+    valuation: { listingBullets: [] },
+  },
+  "add-backs": {
+    description: "Profit → SDE reconciliation with owner add-backs",
+    input: {
+      ...BASE_INPUT,
+      annualProfit: "90000",
+      ownerSalary: "70000",
+      depreciation: "12000",
+      oneOffExpenses: "8000",
+    },
+    llmReply: BASE_REPLY,
+  },
+  uk: {
+    description: "UK region: pounds, en-GB dates and the UK disclaimer",
+    input: { ...BASE_INPUT, region: "UK", location: "Manchester" },
+    llmReply: { ...BASE_REPLY, sellTime: "6–12 months" },
+  },
+  "html-injection": {
+    description: "Markup in inputs and model text must render escaped",
+    input: { ...BASE_INPUT, businessType: `<b>Cafe</b> & "Bar"` },
+    llmReply: {
+      ...BASE_REPLY,
+      listingTitle: `<script>alert("x")</script> Café`,
+      listingBullets: ["<i>Italic?</i>", "Fish & chips"],
+    },
+  },
+  ...categoryFixtures,
+};
@@ -0,0 +1,47 @@
+import { getStore, isValidId, newId } from "./store.js";
+import { PUBLIC_BASE_URL } from "./config.js";
+
+// Valuation records: inputs, raw LLM output, the normalised valuation,
+// chosen thumbnail category and email status, stored under a generated ID.
+
+const COLLECTION = "valuations";
+
+export function reportUrl(id) {
+  return `${PUBLIC_BASE_URL}/api/report/${id}`;
+}
+
+export function pdfUrl(id) {
+  return `${PUBLIC_BASE_URL}/api/pdf/${id}`;
+}
+
+export function createValuationRecord(fields) {
+  return {
+    id: newId(),
+    createdAt: new Date().toISOString(),
+    ...fields,
+  };
+}
+
+export async function saveValuationRecord(record) {
+  return getStore().put(COLLECTION, record.id, record);
+}
+
+export async function getValuationRecord(id) {
+  if (!isValidId(id)) return null;
+  return getStore().get(COLLECTION, id);
+}
+
+// What the unauthenticated JSON route may show: anyone holding a report or
+// click link knows the ID, so no email address, raw model output, model
+// attempts or internal bookkeeping
+export function publicValuationView(record) {
+  const { email, ...input } = record.input || {};
+  const { adjustments, source, ...valuation } = record.valuation || {};
+  return {
+    id: record.id,
+    createdAt: record.createdAt,
+    input,
+    valuation,
+    chosenCategory: record.chosenCategory,
+  };
+}
@@ -0,0 +1,78 @@
+// Market settings per region. Australia is the default so existing Framer
+// forms (which never send a region) keep working unchanged.
+//
+// multipleShift nudges the SDE multiple bands for the local market, and
+// sellTimes gives the default sale window for each confidence level.
+
+export const REGIONS = {
+  AU: {
+    code: "AU",
+    name: "Australia",
+    currency: "AUD",
+    symbol: "$",
+    locale: "en-AU",
+    aliases: ["au", "aus", "australia"],
+    multipleShift: 0,
+    sellTimes: { High: "3–6 months", Medium: "4–9 months", Low: "6–12 months" },
+    defaultSellTime: "3–9 months",
+    promptGuidance:
+      "Typical Australian small-business sales achieve 1.5x–3x SDE; owner-operated hospitality and retail sit at the lower end.",
+    disclaimer:
+      "It is based solely on the figures you entered and general market benchmarks for small businesses in Australia.",
+  },
+  NZ: {
+    code: "NZ",
+    name: "New Zealand",
+    currency: "NZD",
+    symbol: "$",
+    locale: "en-NZ",
+    aliases: ["nz", "nzl", "new zealand", "aotearoa"],
+    multipleShift: -0.1,
+    sellTimes: { High: "4–8 months", Medium: "6–10 months", Low: "8–14 months" },
+    defaultSellTime: "4–10 months",
+    promptGuidance:
+      "The New Zealand buyer pool is smaller than Australia's; typical small-business sales achieve 1.4x–2.8x SDE and take slightly longer.",
+    disclaimer:
+      "It is based solely on the figures you entered and general market benchmarks for small businesses in New Zealand.",
+  },
+  UK: {
+    code: "UK",
+    name: "the United Kingdom",
+    currency: "GBP",
+    symbol: "£",
+    locale: "en-GB",
+    aliases: [
+      "uk",
+      "gb",
+      "gbr",
+      "united kingdom",
+      "great britain",
+      "england",
+      "scotland",
+      "wales",
+      "northern ireland",
+    ],
+    multipleShift: 0.2,
+    sellTimes: { High: "4–8 months", Medium: "6–12 months", Low: "9–15 months" },
+    defaultSellTime: "6–12 months",
+    promptGuidance:
+      "UK small-business sales typically achieve 1.5x–3.5x SDE (adjusted net profit); well-documented businesses with management in place achieve the upper end.",
+    disclaimer:
+      "It is based solely on the figures you entered and general market benchmarks for small businesses in the United Kingdom. It is not a valuation by a RICS-registered valuer.",
+  },
+};
+
+export const DEFAULT_REGION = "AU";
+
+// Match a `region` / `country` input ("nz", "New Zealand", "GB") to a code.
+// Returns null when the value is not a supported region.
+export function resolveRegionCode(value) {
+  const s = String(value ?? "").trim().toLowerCase();
+  if (!s) return DEFAULT_REGION;
+  const match = Object.values(REGIONS).find((r) => r.aliases.includes(s));
+  return match ? match.code : null;
+}
+
+export function getRegion(code) {
+  return REGIONS[code] || REGIONS[DEFAULT_REGION];
+}
@@ -0,0 +1,261 @@
+import { getRegion } from "./regions.js";
+import { formatMoney } from "./format.js";
+import { taxonomy, DEFAULT_CATEGORY } from "./categories.js";
+
+// Rule-based SDE (owner's earnings) valuation engine.
+// Gives us a deterministic baseline to anchor the LLM figures against, and a
+// complete valuation of its own when OpenAI is unavailable.
+
+// Typical SDE multiple bands per taxonomy category (before adjustments),
+// from multipleBand in data/taxonomy.json. `npm run build` fails when a
+// category has none; at runtime such a category is logged and valued on the
+// default category's band.
+export const MULTIPLE_BANDS = Object.fromEntries(
+  taxonomy.categories
+    .filter((category) => category.multipleBand)
+    .map((category) => [category.id, category.multipleBand])
+);
+
+for (const category of taxonomy.categories) {
+  if (!category.multipleBand) {
+    console.warn(`Category "${category.id}" has no multipleBand in the taxonomy`);
+  }
+}
+
+// How far an LLM figure may sit outside the baseline before we clamp it
+const TOLERANCE = 0.15;
+
+const MIN_MULTIPLE = 0.8;
+const MIN_SPREAD = 0.4;
+
+function toNumber(value) {
+  if (value == null || value === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
+
+// Round to a price a broker would actually list at
+function roundPrice(n) {
+  const step = n >= 1000000 ? 10000 : n >= 100000 ? 5000 : 1000;
+  return Math.round(n / step) * step;
+}
+
+export function formatMultipleRange(low, high) {
+  return `${low.toFixed(1)}x–${high.toFixed(1)}x SDE`;
+}
+
+// Multiple adjustments for business age, staff depth and margin
+function collectAdjustments({ yearsOperating, staffCount, annualProfit, annualRevenue }) {
+  const adjustments = [];
+
+  const years = toNumber(yearsOperating);
+  if (years != null) {
+    if (years < 2) adjustments.push({ factor: "yearsOperating", delta: -0.3 });
+    else if (years < 5) adjustments.push({ factor: "yearsOperating", delta: -0.1 });
+    else if (years >= 10) adjustments.push({ factor: "yearsOperating", delta: 0.2 });
+  }
+
+  const staff = toNumber(staffCount);
+  if (staff != null) {
+    // Owner-operated businesses carry key-person risk
+    if (staff <= 1) adjustments.push({ factor: "staffCount", delta: -0.2 });
+    else if (staff >= 15) adjustments.push({ factor: "staffCount", delta: 0.2 });
+    else if (staff >= 5) adjustments.push({ factor: "staffCount", delta: 0.1 });
+  }
+
+  const revenue = toNumber(annualRevenue);
+  if (revenue != null && revenue > 0 && annualProfit <= revenue) {
+    const margin = annualProfit / revenue;
+    if (margin < 0.08) adjustments.push({ factor: "margin", delta: -0.2 });
+    else if (margin > 0.25) adjustments.push({ factor: "margin", delta: 0.15 });
+  }
+
+  return adjustments;
+}
+
+function baselineConfidence({ yearsOperating, annualRevenue, annualProfit }) {
+  const years = toNumber(yearsOperating);
+  const revenue = toNumber(annualRevenue);
+
+  if (years == null || years < 2 || revenue == null) return "Low";
+  if (years >= 5 && revenue >= annualProfit) return "High";
+  return "Medium";
+}
+
+// Compute the baseline range on its own. Returns null without a usable profit.
+export function computeBaseline({
+  category,
+  region: regionCode,
+  annualProfit,
+  annualRevenue,
+  yearsOperating,
+  staffCount,
+}) {
+  const profit = toNumber(annualProfit);
+  if (profit == null || profit <= 0) return null;
+
+  const region = getRegion(regionCode);
+  const band = MULTIPLE_BANDS[category] || MULTIPLE_BANDS[DEFAULT_CATEGORY];
+  const adjustments = collectAdjustments({
+    yearsOperating,
+    staffCount,
+    annualProfit: profit,
+    annualRevenue,
+  });
+  if (region.multipleShift) {
+    adjustments.push({ factor: "region", delta: region.multipleShift });
+  }
+  const shift = adjustments.reduce((sum, a) => sum + a.delta, 0);
+
+  const lowMultiple = round1(Math.max(MIN_MULTIPLE, band.low + shift));
+  const highMultiple = round1(
+    Math.max(lowMultiple + MIN_SPREAD, band.high + shift)
+  );
+  // Slightly conservative: recommend below the midpoint
+  const recMultiple = lowMultiple + (highMultiple - lowMultiple) * 0.45;
+
+  const lowEstimate = roundPrice(profit * lowMultiple);
+  const highEstimate = roundPrice(profit * highMultiple);
+  const recommendedPrice = Math.min(
+    highEstimate,
+    Math.max(lowEstimate, roundPrice(profit * recMultiple))
+  );
+  const confidence = baselineConfidence({
+    yearsOperating,
+    annualRevenue,
+    annualProfit: profit,
+  });
+
+  return {
+    category: MULTIPLE_BANDS[category] ? category : DEFAULT_CATEGORY,
+    region: region.code,
+    profit,
+    lowMultiple,
+    highMultiple,
+    lowEstimate,
+    highEstimate,
+    recommendedPrice,
+    multipleRange: formatMultipleRange(lowMultiple, highMultiple),
+    confidence,
+    sellTime: region.sellTimes[confidence],
+    adjustments,
+  };
+}
+
+// Clamp or flag LLM figures against the baseline.
+// Returns the figures to use, the multiple range they imply, and a list of
+// flags describing what changed. When the model's range sits wholly outside
+// the baseline (or collapses once clamped) the baseline figures are used.
+export function reconcileEstimates(llm = {}, baseline) {
+  const flags = [];
+  const minAllowed = baseline.lowEstimate * (1 - TOLERANCE);
+  const maxAllowed = baseline.highEstimate * (1 + TOLERANCE);
+  const clamped = new Set();
+
+  const pick = (key) => {
+    const value = toNumber(llm[key]);
+    if (value == null || value <= 0) {
+      flags.push(`${key}_missing`);
+      return baseline[key];
+    }
+    if (value < minAllowed) {
+      flags.push(`${key}_below_baseline`);
+      clamped.add(key);
+      return roundPrice(minAllowed);
+    }
+    if (value > maxAllowed) {
+      flags.push(`${key}_above_baseline`);
+      clamped.add(key);
+      return roundPrice(maxAllowed);
+    }
+    return value;
+  };
+
+  let lowEstimate = pick("lowEstimate");
+  let highEstimate = pick("highEstimate");
+  let recommendedPrice = pick("recommendedPrice");
+
+  if (lowEstimate > highEstimate) {
+    flags.push("range_inverted");
+    [lowEstimate, highEstimate] = [highEstimate, lowEstimate];
+  }
+  if (
+    (clamped.has("lowEstimate") && clamped.has("highEstimate")) ||
+    lowEstimate >= highEstimate
+  ) {
+    flags.push("range_replaced_by_baseline");
+    return {
+      lowEstimate: baseline.lowEstimate,
+      highEstimate: baseline.highEstimate,
+      recommendedPrice: baseline.recommendedPrice,
+      multipleRange: baseline.multipleRange,
+      flags,
+    };
+  }
+  if (recommendedPrice < lowEstimate || recommendedPrice > highEstimate) {
+    flags.push("recommended_outside_range");
+    recommendedPrice = Math.min(
+      highEstimate,
+      Math.max(lowEstimate, recommendedPrice)
+    );
+  }
+
+  return {
+    lowEstimate,
+    highEstimate,
+    recommendedPrice,
+    multipleRange: formatMultipleRange(
+      round1(lowEstimate / baseline.profit),
+      round1(highEstimate / baseline.profit)
+    ),
+    flags,
+  };
+}
+
+// Full valuation in the same shape as the LLM JSON, used when OpenAI fails
+export function buildFallbackValuation(
+  { businessType, location, yearsOperating, staffCount },
+  baseline
+) {
+  const years = toNumber(yearsOperating);
+  const staff = toNumber(staffCount);
+  const label = businessType || "business";
+  const where = location ? ` in ${location}` : "";
+
+  const profitStr = formatMoney(baseline.profit, getRegion(baseline.region));
+  const bullets = [`Owner's earnings of approximately ${profitStr} per year`];
+  if (years != null && years > 0) {
+    bullets.push(`${years} year${years === 1 ? "" : "s"} of trading history`);
+  }
+  if (staff != null && staff > 1) {
+    bullets.push(`Trained team of ${staff} staff in place`);
+  }
+  if (location) bullets.push(`Located in ${location}`);
+
+  return {
+    lowEstimate: baseline.lowEstimate,
+    highEstimate: baseline.highEstimate,
+    recommendedPrice: baseline.recommendedPrice,
+    multipleRange: baseline.multipleRange,
+    confidence: baseline.confidence,
+    sellTime: baseline.sellTime,
+    notes: [
+      `Valued at ${baseline.multipleRange} based on typical sale multiples for ${baseline.category} businesses.`,
+      "Adjusted for trading history, staff depth and profit margin where provided.",
+      "A broker review of your financials may refine this range.",
+    ].join("\n"),
+    improvementIdeas: [
+      "Prepare two to three years of clean, accountant-prepared financials.",
+      "Reduce reliance on the owner by documenting systems and training staff.",
+      "Secure a long lease and key supplier or customer agreements before listing.",
+    ].join("\n"),
+    listingTitle: `Established ${label}${where}`,
+    listingIntro: `An established ${label}${where} with a proven earnings record. A solid opportunity for an owner-operator or investor looking for a business with an existing customer base.`,
+    listingBullets: bullets,
+    imageCategory: baseline.category,
+  };
+}
@@ -0,0 +1,243 @@
+import { promises as fs } from "node:fs";
+import path from "node:path";
+import { randomUUID } from "node:crypto";
+import { createKvClient, kvConfigured } from "./kv.js";
+
+// Pluggable document store: records live in named collections under an ID.
+// Every backend implements get / put / list / remove and returns plain JSON.
+//
+//   VALUATION_STORE=kv        Vercel KV / Upstash over REST (the default
+//                             when KV_REST_API_URL is set)
+//   VALUATION_STORE=file      JSON files on disk (local default)
+//   VALUATION_STORE=memory    in-process only, for local experiments
+//   VALUATION_STORE=external  the app installs its own with setStore()
+//
+// Other backends (Postgres, SQLite…) only need the same four methods.
+//
+// Report links, unsubscribes, follow-up jobs and batches must outlive the
+// function instance that wrote them, so on Vercel only kv or external will
+// do: /tmp is per instance and wiped on cold start, and the store refuses
+// to start there rather than lose data quietly.
+
+const ID_RE = /^[A-Za-z0-9_-]{1,100}$/;
+
+export function newId() {
+  return randomUUID();
+}
+
+export function isValidId(id) {
+  return typeof id === "string" && ID_RE.test(id);
+}
+
+function assertKey(collection, id) {
+  if (!isValidId(collection) || (id !== undefined && !isValidId(id))) {
+    throw new Error(`Invalid store key: ${collection}/${id}`);
+  }
+}
+
+export function createMemoryStore() {
+  const collections = new Map();
+  const bucket = (name) => {
+    if (!collections.has(name)) collections.set(name, new Map());
+    return collections.get(name);
+  };
+
+  return {
+    async get(collection, id) {
+      assertKey(collection, id);
+      const doc = bucket(collection).get(id);
+      return doc ? structuredClone(doc) : null;
+    },
+    async put(collection, id, doc) {
+      assertKey(collection, id);
+      bucket(collection).set(id, structuredClone(doc));
+      return doc;
+    },
+    async list(collection) {
+      assertKey(collection);
+      return [...bucket(collection).values()].map((doc) => structuredClone(doc));
+    },
+    async remove(collection, id) {
+      assertKey(collection, id);
+      return bucket(collection).delete(id);
+    },
+  };
+}
+
+// One JSON file per record: <dir>/<collection>/<id>.json
+export function createFileStore(dir) {
+  const fileFor = (collection, id) => path.join(dir, collection, `${id}.json`);
+
+  const fileStore = {
+    async get(collection, id) {
+      assertKey(collection, id);
+      try {
+        return JSON.parse(await fs.readFile(fileFor(collection, id), "utf8"));
+      } catch (err) {
+        if (err.code === "ENOENT") return null;
+        throw err;
+      }
+    },
+    async put(collection, id, doc) {
+      assertKey(collection, id);
+      const file = fileFor(collection, id);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      // Write then rename so readers never see a half-written file
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(doc, null, 2));
+      await fs.rename(tmp, file);
+      return doc;
+    },
+    async list(collection) {
+      assertKey(collection);
+      let names;
+      try {
+        names = await fs.readdir(path.join(dir, collection));
+      } catch (err) {
+        if (err.code === "ENOENT") return [];
+        throw err;
+      }
+      const docs = await Promise.all(
+        names
+          .filter((name) => name.endsWith(".json"))
+          .map((name) => fileStore.get(collection, name.slice(0, -5)))
+      );
+      return docs.filter(Boolean);
+    },
+    async remove(collection, id) {
+      assertKey(collection, id);
+      try {
+        await fs.unlink(fileFor(collection, id));
+        return true;
+      } catch (err) {
+        if (err.code === "ENOENT") return false;
+        throw err;
+      }
+    },
+  };
+
+  return fileStore;
+}
+
+// Documents are JSON strings under <prefix><collection>:<id>; a set per
+// collection holds its IDs for list()
+export function createKvStore(client = createKvClient(), { prefix = "bth:" } = {}) {
+  const key = (collection, id) => `${prefix}${collection}:${id}`;
+  const index = (collection) => `${prefix}index:${collection}`;
+
+  return {
+    async get(collection, id) {
+      assertKey(collection, id);
+      const value = await client.command("GET", key(collection, id));
+      return value == null ? null : JSON.parse(value);
+    },
+    async put(collection, id, doc) {
+      assertKey(collection, id);
+      await client.pipeline([
+        ["SET", key(collection, id), JSON.stringify(doc)],
+        ["SADD", index(collection), id],
+      ]);
+      return doc;
+    },
+    async list(collection) {
+      assertKey(collection);
+      const ids = await client.command("SMEMBERS", index(collection));
+      const docs = [];
+      for (let i = 0; i < ids.length; i += 100) {
+        const chunk = ids.slice(i, i + 100);
+        const values = await client.command(
+          "MGET",
+          ...chunk.map((id) => key(collection, id))
+        );
+        docs.push(...values.filter((v) => v != null).map((v) => JSON.parse(v)));
+      }
+      return docs;
+    },
+    async remove(collection, id) {
+      assertKey(collection, id);
+      const [deleted] = await client.pipeline([
+        ["DEL", key(collection, id)],
+        ["SREM", index(collection), id],
+      ]);
+      return deleted > 0;
+    },
+  };
+}
+
+function storeBackend() {
+  const configured = process.env.VALUATION_STORE;
+  if (configured) return configured;
+  return kvConfigured() ? "kv" : "file";
+}
+
+const DURABLE_ON_VERCEL = ["kv", "external"];
+
+// Checked at import so a misconfigured deployment fails on its first
+// request with this message, not weeks later with 404s on report links
+if (process.env.VERCEL && !DURABLE_ON_VERCEL.includes(storeBackend())) {
+  throw new Error(
+    `VALUATION_STORE=${storeBackend()} does not persist across Vercel function instances. ` +
+      "Connect Vercel KV (KV_REST_API_URL / KV_REST_API_TOKEN) or set VALUATION_STORE=external and call setStore()."
+  );
+}
+
+let store = null;
+
+export function getStore() {
+  if (!store) {
+    const backend = storeBackend();
+    if (backend === "kv") store = createKvStore();
+    else if (backend === "memory") store = createMemoryStore();
+    else if (backend === "file") {
+      store = createFileStore(process.env.VALUATION_STORE_DIR || ".data");
+    } else if (backend === "external") {
+      throw new Error("VALUATION_STORE=external but setStore() was never called");
+    } else {
+      throw new Error(`Unknown VALUATION_STORE: ${backend}`);
+    }
+  }
+  return store;
+}
+
+export function setStore(next) {
+  store = next;
+}
+
+// Date-partitioned collections: append-only logs go into one collection per
+// UTC day ("events-2026-10-18"), so reads only touch the days they ask for
+// and retention drops whole days.
+export function dayCollection(base, date) {
+  return `${base}-${new Date(date).toISOString().slice(0, 10)}`;
+}
+
+// The day collections covering from <= t < to
+export function dayCollections(base, from, to) {
+  const day = new Date(from);
+  day.setUTCHours(0, 0, 0, 0);
+  const names = [];
+  for (; day < to; day.setUTCDate(day.getUTCDate() + 1)) {
+    names.push(dayCollection(base, day));
+  }
+  return names;
+}
+
+// Empty the whole-day collections in the `lookbackDays` days before the day
+// of `before`. Cleanup runs from the frequent cron, so a short lookback is
+// enough. Returns the number of documents removed.
+export async function dropDayCollections(
+  base,
+  before,
+  { lookbackDays = 7, store: target = getStore() } = {}
+) {
+  const to = new Date(before);
+  to.setUTCHours(0, 0, 0, 0);
+  const from = new Date(to);
+  from.setUTCDate(from.getUTCDate() - lookbackDays);
+  let removed = 0;
+  for (const collection of dayCollections(base, from, to)) {
+    for (const doc of await target.list(collection)) {
+      if (await target.remove(collection, doc.id)) removed++;
+    }
+  }
+  return removed;
+}
@@ -0,0 +1,52 @@
+import { createHash } from "node:crypto";
+import { getStore } from "./store.js";
+import { createToken, readToken } from "./tokens.js";
+import { PUBLIC_BASE_URL } from "./config.js";
+
+// Suppression list: addresses that have unsubscribed (or bounced) and must
+// never be emailed again, including the first valuation email. Entries are
+// keyed by a hash of the normalised address. This is a compliance record, so
+// it lives in the shared durable store (lib/store.js refuses to start on
+// Vercel without one).
+
+const COLLECTION = "suppressions";
+const UNSUBSCRIBE = "unsubscribe";
+
+function normalise(email) {
+  return String(email ?? "").trim().toLowerCase();
+}
+
+function suppressionId(email) {
+  return createHash("sha256").update(normalise(email)).digest("hex");
+}
+
+export async function isSuppressed(email) {
+  if (!email) return false;
+  return Boolean(await getStore().get(COLLECTION, suppressionId(email)));
+}
+
+export async function suppressEmail(email, { reason = "unsubscribed", source } = {}) {
+  const id = suppressionId(email);
+  const existing = await getStore().get(COLLECTION, id);
+  if (existing) return existing;
+  return getStore().put(COLLECTION, id, {
+    id,
+    email: normalise(email),
+    reason,
+    source: source || null,
+    createdAt: new Date().toISOString(),
+  });
+}
+
+// Unsubscribe links don't expire: one in a months-old email must still work
+export function unsubscribeToken(email) {
+  return createToken(UNSUBSCRIBE, { email: normalise(email) });
+}
+
+export function readUnsubscribeToken(token) {
+  return readToken(token, UNSUBSCRIBE)?.email || null;
+}
+
+export function unsubscribeUrl(email) {
+  return `${PUBLIC_BASE_URL}/api/unsubscribe?token=${unsubscribeToken(email)}`;
+}
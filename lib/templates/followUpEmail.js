@@ -0,0 +1,165 @@
+import { html, nl2br, stripTags } from "./html.js";
+import { buildReportView } from "./valuationEmail.js";
+import { valuationBlock, footer } from "./partials.js";
+
+// Follow-up emails sent after the valuation report. They reuse the original
+// report's view model, so the figures always match what the customer was
+// first sent.
+
+const STEPS = {
+  ready_to_list: {
+    subject: (view) => `Ready to list your ${view.businessType} business?`,
+    preheader: (view) =>
+      `Your recommended listing price was ${view.recStr} ${view.currency} — your listing is a few minutes away.`,
+    heading: "Ready to list?",
+    intro: (view) =>
+      `A few days ago we estimated your ${view.businessType} business could sell for ${view.lowStr} – ${view.highStr} ${view.currency}. Here is that estimate again:`,
+    body: [
+      "Your draft listing is already written from the details you gave us: title, summary and key strengths. Add a few photos and it's ready for buyers.",
+      "Listing early gives you more time to meet serious buyers without rushing the sale.",
+    ],
+    cta: "Start your listing from this estimate",
+  },
+  market_update: {
+    subject: (view) => `Market update: selling a ${view.businessType} business in ${view.regionName}`,
+    preheader: (view) =>
+      `What buyers look for, and how to move your ${view.recStr} ${view.currency} estimate up.`,
+    heading: "Your market update",
+    intro: (view) =>
+      `Your valuation put a ${view.businessType} business like yours at ${view.lowStr} – ${view.highStr} ${view.currency}, with a typical sale window of ${view.sellTime}.`,
+    body: [
+      "Buyers pay the upper end of the range for businesses with clean, consistent financials and an owner who isn't the only person who can run things.",
+      "If your trading has changed since you asked for this estimate, request a fresh valuation — it takes under a minute.",
+    ],
+    cta: "List your business on BizTradeHub",
+  },
+};
+
+export const FOLLOW_UP_STEPS = Object.keys(STEPS);
+
+function stepFor(step) {
+  const config = STEPS[step];
+  if (!config) throw new Error(`Unknown follow-up step: ${step}`);
+  return config;
+}
+
+// data: { step, input, valuation, issuedAt, reportUrl, unsubscribeUrl }
+export function renderFollowUpEmail({ step, ...data }) {
+  const config = stepFor(step);
+  const view = buildReportView(data);
+
+  return html`
+<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width,initial-scale=1">
+    <meta name="x-apple-disable-message-reformatting">
+    <title>BizTradeHub</title>
+    <style>
+      html, body { margin:0 !important; padding:0 !important; width:100% !important; }
+      table, td { border-collapse:collapse !important; }
+      a { text-decoration:none; }
+      .container { width:100%; max-width:640px; margin:0 auto; }
+      .px { padding-left:24px; padding-right:24px; }
+      .card { background:#ffffff; border:1px solid #e5e7eb; border-radius:18px; overflow:hidden; }
+      .softcard { background:#f9fafb; border:1px solid #e5e7eb; border-radius:14px; }
+      @media screen and (max-width: 480px) {
+        .px { padding-left:16px !important; padding-right:16px !important; }
+      }
+    </style>
+  </head>
+
+  <body style="background:#f3f4f6;">
+    <div style="display:none;max-height:0;overflow:hidden;opacity:0;color:transparent;">
+      ${config.preheader(view)}
+    </div>
+
+    <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:#f3f4f6;">
+      <tr>
+        <td style="padding:32px 12px;">
+          <table role="presentation" class="container card" cellpadding="0" cellspacing="0" style="font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;">
+            <tr>
+              <td style="background:linear-gradient(135deg,#020617,#0f766e); padding:20px 24px 22px;">
+                <div style="font-size:18px;font-weight:700;color:#ffffff;">BizTradeHub</div>
+                <div style="font-size:11px;color:#e5e7eb;margin-top:10px;">
+                  ${view.businessType} &nbsp;•&nbsp; Valued ${view.issuedDate}
+                </div>
+              </td>
+            </tr>
+
+            <tr>
+              <td class="px" style="padding-top:26px;padding-bottom:28px;color:#111827;">
+                <h1 style="font-size:22px; margin:0 0 8px; color:#111827;">${config.heading}</h1>
+                <p style="font-size:14px; line-height:1.6; margin:0 0 20px; color:#374151;">
+                  ${config.intro(view)}
+                </p>
+
+                ${valuationBlock(view)}
+
+                ${config.body.map(
+                  (paragraph) => html`<p style="font-size:13px;line-height:1.65;margin:0 0 12px;color:#4b5563;">${paragraph}</p>`
+                )}
+
+                ${
+                  step === "market_update" &&
+                  view.improvementIdeas &&
+                  html`<h2 style="font-size:16px;margin:18px 0 8px;color:#111827;">Ideas for your business</h2>
+                       <p style="font-size:13px;line-height:1.65;margin:0 0 18px;color:#4b5563;">${nl2br(view.improvementIdeas)}</p>`
+                }
+
+                <div style="padding-top:6px;">
+                  <a href="${view.ctaUrl}"
+                     style="display:inline-block;background:#111827;color:#ffffff;font-size:14px;font-weight:600;padding:12px 18px;border-radius:999px;">
+                    ${config.cta}
+                  </a>
+                </div>
+
+                ${
+                  view.reportUrl &&
+                  html`<p style="font-size:12px;line-height:1.6;margin:18px 0 0;color:#6b7280;">
+                         <a href="${view.reportUrl}" style="color:#6b7280;text-decoration:underline;">View your full valuation report</a>
+                       </p>`
+                }
+              </td>
+            </tr>
+
+            ${footer(view)}
+          </table>
+        </td>
+      </tr>
+    </table>
+  </body>
+</html>
+`.toString();
+}
+
+export function renderFollowUpText({ step, ...data }) {
+  const config = stepFor(step);
+  const view = buildReportView(data);
+
+  return [
+    config.heading.toUpperCase(),
+    "",
+    config.intro(view),
+    "",
+    `Recommended listing price: ${view.recStr} ${view.currency}`,
+    `Estimated sale range: ${view.lowStr} – ${view.highStr} ${view.currency}`,
+    `Expected sale window: ${view.sellTime}`,
+    "",
+    ...config.body.flatMap((paragraph) => [paragraph, ""]),
+    `${config.cta}: ${view.ctaUrl}`,
+    view.reportUrl && `View your full valuation report: ${view.reportUrl}`,
+    "",
+    "BizTradeHub Pty Ltd · Sydney, Australia",
+    "You’re receiving this email because you requested a business valuation on BizTradeHub.",
+    view.unsubscribeUrl && `Unsubscribe: ${view.unsubscribeUrl}`,
+  ]
+    .filter((line) => line != null && line !== false)
+    .map(stripTags)
+    .join("\n");
+}
+
+export function followUpSubject({ step, ...data }) {
+  return stepFor(step).subject(buildReportView(data));
+}
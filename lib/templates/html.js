@@ -0,0 +1,59 @@
+// Tiny escaping template tag for email markup.
+//
+//   html`<td>${value}</td>`
+//
+// Every interpolated value is HTML-escaped unless it is itself the result of
+// html`` or raw(). Arrays are rendered item by item; null/false render as "".
+
+const ENTITIES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+};
+
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+export function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"']/g, (c) => ENTITIES[c]);
+}
+
+// Trusted markup only — never pass user or LLM text here
+export function raw(value) {
+  return new SafeHtml(String(value ?? ""));
+}
+
+function render(value) {
+  if (value == null || value === false) return "";
+  if (value instanceof SafeHtml) return value.value;
+  if (Array.isArray(value)) return value.map(render).join("");
+  return escapeHtml(value);
+}
+
+export function html(strings, ...values) {
+  let out = strings[0];
+  values.forEach((value, i) => {
+    out += render(value) + strings[i + 1];
+  });
+  return new SafeHtml(out);
+}
+
+// Escape text, then turn its line breaks into <br>
+export function nl2br(text) {
+  return raw(escapeHtml(text).replace(/\r?\n/g, "<br>"));
+}
+
+// For the plain-text parts: drop anything shaped like a tag, so markup typed
+// into the form or returned by the model doesn't show up as code
+export function stripTags(text) {
+  return String(text ?? "").replace(/<\/?[a-z!][^<>]*>/gi, "");
+}
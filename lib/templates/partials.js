@@ -0,0 +1,180 @@
+import { html } from "./html.js";
+
+// Reusable sections of the valuation email. Each partial takes the report
+// view built in valuationEmail.js and returns escaped markup.
+
+export function viewInBrowser(view) {
+  if (!view.reportUrl) return "";
+  return html`<div style="text-align:center;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;font-size:11px;color:#6b7280;margin:0 0 10px;">
+                   <a href="${view.reportUrl}" style="color:#6b7280;text-decoration:underline;">View this report in your browser</a>
+                 </div>`;
+}
+
+// Big valuation block
+export function valuationBlock(view) {
+  return html`<div class="softcard" style="padding:18px 20px; margin-bottom:20px; box-shadow:0 6px 18px rgba(15,23,42,0.04);">
+                  <div style="font-size:18px;font-weight:700;margin-bottom:4px;color:#111827;">
+                    Recommended listing price: <span style="font-size:20px;">${view.recStr} ${view.currency}</span>
+                  </div>
+
+                  <div style="font-size:13px;margin-bottom:8px;color:#4b5563;">
+                    Estimated sale range: <strong>${view.lowStr} – ${view.highStr} ${view.currency}</strong>
+                  </div>
+
+                  <div style="font-size:12px;color:#4b5563;line-height:1.6;margin-top:4px;">
+                    <div><strong>Multiple:</strong> ${view.multipleRange}</div>
+                    ${
+                      view.comparablesSummary &&
+                      html`<div><strong>Comparable sales:</strong> ${view.comparablesSummary}</div>`
+                    }
+                    <div><strong>Confidence:</strong> ${view.confidence}</div>
+                    <div><strong>Expected sale window:</strong> ${view.sellTime}</div>
+                  </div>
+                </div>`;
+}
+
+// Listing preview card, as a buyer would see it on the marketplace
+export function listingCard(view) {
+  const bullets = view.bullets.map(
+    (b) => html`<li style="margin-bottom:4px;">${b}</li>`
+  );
+
+  return html`<div class="card shadow-soft" style="max-width:360px;">
+                      <div style="width:100%; height:150px; background:#e5e7eb; overflow:hidden;">
+                        <img src="${view.thumbUrl}" alt="" style="width:100%;height:150px;object-fit:cover;">
+                      </div>
+
+                      <div style="padding:12px 14px 12px;">
+                        <div style="font-size:14px;font-weight:700;margin-bottom:4px;color:#111827;">
+                          ${view.listingTitle}
+                        </div>
+
+                        <div style="font-size:12px;color:#4b5563;margin-bottom:8px;">
+                          <span style="font-weight:700;">Asking price:</span> ${view.recStr} ${view.currency}
+                        </div>
+
+                        ${
+                          view.shortIntro &&
+                          html`<div style="font-size:12px;color:#4b5563;margin-bottom:10px;line-height:1.55;">
+                                 ${view.shortIntro}
+                               </div>`
+                        }
+
+                        <div style="border-top:1px solid #e5e7eb;margin:8px 0 10px;"></div>
+
+                        <table role="presentation" cellpadding="0" cellspacing="0" width="100%" style="font-size:12px;color:#4b5563;">
+                          ${
+                            view.hasRevenue &&
+                            html`<tr>
+                            <td style="padding:4px 0;">Revenue</td>
+                            <td style="padding:4px 0;text-align:right;font-weight:600;">${view.revenueStr}/year</td>
+                          </tr>`
+                          }
+                          <tr>
+                            <td style="padding:4px 0;">${view.earningsLabel}</td>
+                            <td style="padding:4px 0;text-align:right;font-weight:600;">${view.sdeStr}/year</td>
+                          </tr>
+                          <tr>
+                            <td style="padding:4px 0;">Staff</td>
+                            <td style="padding:4px 0;text-align:right;font-weight:600;">${view.staffCount} employees</td>
+                          </tr>
+                          <tr>
+                            <td style="padding:4px 0;">Location</td>
+                            <td style="padding:4px 0;text-align:right;font-weight:600;">${view.location}</td>
+                          </tr>
+                        </table>
+
+                        ${
+                          bullets.length > 0 &&
+                          html`<div style="border-top:1px solid #e5e7eb;margin:10px 0 6px;"></div>
+                               <ul style="padding-left:16px;margin:6px 0 0;font-size:11px;color:#4b5563;line-height:1.55;">
+                                 ${bullets}
+                               </ul>`
+                        }
+
+                        <div style="margin-top:10px;font-size:10px;color:#9ca3af;text-align:center;">
+                          Demo preview – your full listing can include more details and photos.
+                        </div>
+                      </div>
+                    </div>`;
+}
+
+// "Based on what you told us" rows, including the profit → SDE reconciliation
+export function inputTable(view) {
+  const row = (label, value) => html`<tr>
+                    <td style="padding:4px 0;color:#6b7280;">${label}</td>
+                    <td style="padding:4px 0;text-align:right;font-weight:600;color:#111827;">${value}</td>
+                  </tr>`;
+
+  const profitRows = view.sdeLines.length
+    ? [
+        row("Reported net profit", `${view.reportedProfitStr} ${view.currency}`),
+        view.sdeLines.map(
+          (line) => html`
+                  <tr>
+                    <td style="padding:4px 0 4px 12px;color:#6b7280;">+ ${line.label}</td>
+                    <td style="padding:4px 0;text-align:right;color:#111827;">${line.amountStr} ${view.currency}</td>
+                  </tr>`
+        ),
+        html`
+                  <tr>
+                    <td style="padding:6px 0 4px;border-top:1px solid #e5e7eb;color:#111827;font-weight:600;">= Owner's earnings (SDE)</td>
+                    <td style="padding:6px 0 4px;border-top:1px solid #e5e7eb;text-align:right;font-weight:700;color:#111827;">${view.sdeStr} ${view.currency}</td>
+                  </tr>`,
+      ]
+    : row("Annual profit / owner's earnings", `${view.profitStr} ${view.currency}`);
+
+  return html`<table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="font-size:13px;margin-bottom:22px;">
+                  ${row("Business type", view.businessType)}
+                  ${row("Location", view.location)}
+                  ${row("Annual revenue", view.revenueLine)}
+                  ${profitRows}
+                  ${row("Years operating", view.yearsOperating)}
+                  ${row("Staff count", view.staffCount)}
+                </table>`;
+}
+
+// Nearest comparable sales the estimate was grounded on
+export function comparablesTable(view) {
+  if (!view.comparables.length) return "";
+
+  const cell = "padding:4px 6px 4px 0;border-bottom:1px solid #e5e7eb;";
+  return html`<p style="font-size:13px;line-height:1.65;margin:0 0 6px;color:#374151;">
+                  It is grounded on these comparable completed sales (${view.comparablesSummary}):
+                </p>
+                <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="font-size:12px;margin-bottom:12px;color:#4b5563;">
+                  <tr>
+                    <td style="${cell}font-weight:600;color:#111827;">Business</td>
+                    <td style="${cell}font-weight:600;color:#111827;">Sold</td>
+                    <td style="${cell}font-weight:600;color:#111827;text-align:right;">SDE</td>
+                    <td style="${cell}font-weight:600;color:#111827;text-align:right;">Price</td>
+                    <td style="${cell}font-weight:600;color:#111827;text-align:right;">Multiple</td>
+                  </tr>
+                  ${view.comparables.map(
+                    (c) => html`
+                  <tr>
+                    <td style="${cell}">${c.label}</td>
+                    <td style="${cell}">${c.soldDate}</td>
+                    <td style="${cell}text-align:right;">${c.sdeStr}</td>
+                    <td style="${cell}text-align:right;">${c.priceStr}</td>
+                    <td style="${cell}text-align:right;">${c.multipleStr}</td>
+                  </tr>`
+                  )}
+                </table>`;
+}
+
+export function footer(view) {
+  return html`<tr>
+              <td style="background:#f9fafb;padding:12px 20px 16px;border-top:1px solid #e5e7eb;">
+                <p style="margin:0;font-size:11px;color:#9ca3af;line-height:1.5;">
+                  BizTradeHub Pty Ltd · Sydney, Australia<br>
+                  You’re receiving this email because you requested a business valuation on BizTradeHub.<br>
+                  © ${view.year} BizTradeHub. All rights reserved.
+                  ${
+                    view.unsubscribeUrl &&
+                    html`<br><a href="${view.unsubscribeUrl}" style="color:#9ca3af;text-decoration:underline;">Unsubscribe</a>`
+                  }
+                </p>
+              </td>
+            </tr>`;
+}
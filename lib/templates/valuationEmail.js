@@ -0,0 +1,404 @@
+import { calculateSde } from "../addBacks.js";
+import { formatMoney, formatSignedMoney, formatIssuedDate } from "../format.js";
+import { getRegion } from "../regions.js";
+import { formatComparablesSummary } from "../comparables.js";
+import { html, nl2br, stripTags } from "./html.js";
+import {
+  viewInBrowser,
+  valuationBlock,
+  listingCard,
+  inputTable,
+  comparablesTable,
+  footer,
+} from "./partials.js";
+
+// Valuation report, rendered as the HTML email / browser view and as the
+// matching plain-text part. Both read from the same view model, so the
+// figures can never disagree between the two.
+
+// Default copy for the sections an email experiment can vary
+// (lib/experiments.js). Each is a function of the view.
+const DEFAULT_COPY = {
+  subject: () => "Your BizTradeHub business valuation estimate",
+  preheader: () =>
+    "Your BizTradeHub valuation estimate is ready — view your recommended listing price and next steps.",
+  ctaText: () => "Start your listing from this estimate",
+};
+
+// Used when there is no listing draft to deep-link to
+const CTA_URL = "https://biztradehub.com";
+
+function disclaimer(region) {
+  return [
+    "This is an AI-generated estimate only and does not constitute financial, legal, or taxation advice.",
+    region.disclaimer,
+    "For a formal valuation, please consult a qualified accountant, broker, or financial adviser.",
+  ];
+}
+
+// Display-ready strings for the templates. Nothing here is escaped; that
+// happens at interpolation time in html``.
+export function buildReportView({
+  input,
+  valuation,
+  issuedAt = new Date(),
+  reportUrl = null,
+  unsubscribeUrl = null,
+  ctaUrl = CTA_URL,
+  copy = {},
+}) {
+  const { listingIntro, listingBullets } = valuation;
+  // Records stored before regions existed are Australian
+  const region = getRegion(input.region || valuation.region);
+  const money = (value) => formatMoney(value, region);
+  const sde = calculateSde(input);
+  const hasAddBacks = sde.lines.length > 0;
+
+  const view = {
+    regionName: region.name,
+    currency: region.currency,
+    disclaimer: disclaimer(region),
+    businessType: input.businessType,
+    location: input.location || "-",
+    yearsOperating: input.yearsOperating ?? "-",
+    staffCount: input.staffCount ?? "-",
+    hasRevenue: input.annualRevenue != null,
+    revenueStr: money(input.annualRevenue),
+    // With the currency code, for rows that state the figure in full
+    revenueLine:
+      input.annualRevenue != null
+        ? `${money(input.annualRevenue)} ${region.currency}`
+        : money(input.annualRevenue),
+    profitStr: money(input.annualProfit),
+    reportedProfitStr: formatSignedMoney(sde.reportedProfit, region),
+    addBacksStr: money(sde.totalAddBacks),
+    sdeStr: money(sde.sde),
+    sdeLines: sde.lines.map((line) => ({
+      label: line.label,
+      amountStr: money(line.amount),
+    })),
+    earningsLabel: hasAddBacks ? "Owner's earnings" : "Profit",
+
+    lowStr: money(valuation.lowEstimate),
+    highStr: money(valuation.highEstimate),
+    recStr: money(valuation.recommendedPrice),
+    multipleRange: valuation.multipleRange || "-",
+    comparablesSummary: formatComparablesSummary(valuation.comparables?.summary),
+    comparables: (valuation.comparables?.sales || []).map((sale) => {
+      const saleRegion = getRegion(sale.region);
+      return {
+        label: `${sale.businessType}, ${sale.location}`,
+        soldDate: sale.soldDate,
+        sdeStr: `${formatMoney(sale.sde, saleRegion)} ${saleRegion.currency}`,
+        priceStr: `${formatMoney(sale.salePrice, saleRegion)} ${saleRegion.currency}`,
+        multipleStr: `${sale.multiple.toFixed(1)}x`,
+      };
+    }),
+    confidence: valuation.confidence || "Medium",
+    sellTime: valuation.sellTime || region.defaultSellTime,
+    notes: valuation.notes || "",
+    improvementIdeas: valuation.improvementIdeas || "",
+
+    listingTitle: valuation.listingTitle || "Profitable business opportunity",
+    // Trim listing content: first sentence + first 3 bullets
+    shortIntro: (listingIntro || "").split(/(?<=\.)\s+/)[0] || listingIntro || "",
+    bullets: Array.isArray(listingBullets) ? listingBullets.slice(0, 3) : [],
+    thumbUrl: valuation.thumbUrl,
+
+    issuedDate: formatIssuedDate(issuedAt, region),
+    year: new Date(issuedAt).getFullYear(),
+    reportUrl,
+    unsubscribeUrl,
+    ctaUrl,
+  };
+
+  // Variant copy may read the figures above, so it is filled in last
+  for (const [key, fallback] of Object.entries(DEFAULT_COPY)) {
+    view[key] = (copy[key] || fallback)(view);
+  }
+  return view;
+}
+
+export function valuationSubject(data) {
+  return buildReportView(data).subject;
+}
+
+function earningsSummary(view) {
+  return view.sdeLines.length
+    ? html`The estimate is based primarily on your owner's earnings (SDE) of <strong>${view.sdeStr} ${view.currency}</strong>: reported net profit of ${view.reportedProfitStr} plus ${view.addBacksStr} in owner add-backs, valued at typical sale multiples for similar businesses.`
+    : html`The estimate is based primarily on your reported owner's earnings of <strong>${view.profitStr} ${view.currency}</strong> and typical sale multiples for similar businesses.`;
+}
+
+// Build responsive HTML email (mobile-first, desktop enhanced).
+// `reportUrl` adds a "view in browser" link and `unsubscribeUrl` an
+// unsubscribe link; leave both out for the web view.
+export function renderValuationEmail(data) {
+  const view = buildReportView(data);
+
+  return html`
+<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width,initial-scale=1">
+    <meta name="x-apple-disable-message-reformatting">
+    <title>BizTradeHub Valuation</title>
+
+    <style>
+      /* ===== Email-safe resets ===== */
+      html, body { margin:0 !important; padding:0 !important; height:100% !important; width:100% !important; }
+      * { -ms-text-size-adjust:100%; -webkit-text-size-adjust:100%; }
+      table, td { mso-table-lspace:0pt; mso-table-rspace:0pt; border-collapse:collapse !important; }
+      img { -ms-interpolation-mode:bicubic; border:0; outline:none; text-decoration:none; display:block; }
+      a { text-decoration:none; }
+      /* ===== Utilities ===== */
+      .container { width:100%; max-width:640px; margin:0 auto; }
+      .px { padding-left:24px; padding-right:24px; }
+      .muted { color:#6b7280; }
+      .text { color:#111827; }
+      .btn { display:inline-block; background:#111827; color:#ffffff; font-weight:600; border-radius:999px; padding:12px 18px; }
+      .card { background:#ffffff; border:1px solid #e5e7eb; border-radius:18px; overflow:hidden; }
+      .softcard { background:#f9fafb; border:1px solid #e5e7eb; border-radius:14px; }
+      .shadow { box-shadow:0 18px 45px rgba(15,23,42,0.12); }
+      .shadow-soft { box-shadow:0 8px 22px rgba(15,23,42,0.08); }
+
+      /* ===== Listing preview responsiveness =====
+         Mobile FIRST: stack (block). Desktop: two columns.
+      */
+      .lp-col { width:100%; display:block; }
+      .lp-gap { height:16px; line-height:16px; font-size:16px; }
+      .cta-wrap { padding-top:6px; }
+
+      /* Desktop enhancement */
+      @media screen and (min-width: 680px) {
+        .lp-row { display:table; width:100%; }
+        .lp-col { display:table-cell; vertical-align:top; }
+        .lp-left { width:340px; padding-right:16px; }
+        .lp-right { width:auto; }
+        .lp-gap { display:none; height:0; line-height:0; font-size:0; }
+      }
+
+      /* Mobile spacing tweaks */
+      @media screen and (max-width: 480px) {
+        .px { padding-left:16px !important; padding-right:16px !important; }
+        h1 { font-size:20px !important; }
+        .btn { display:block !important; text-align:center !important; }
+      }
+    </style>
+  </head>
+
+  <body style="background:#f3f4f6;">
+        <!-- Preheader (hidden preview text) -->
+    <div style="display:none;max-height:0;overflow:hidden;opacity:0;color:transparent;">
+      ${view.preheader}
+    </div>
+
+    <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:#f3f4f6;">
+      <tr>
+        <td style="padding:32px 12px;">
+          ${viewInBrowser(view)}
+
+          <!-- Outer card -->
+          <table role="presentation" class="container card shadow" cellpadding="0" cellspacing="0" style="font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,Helvetica,Arial,sans-serif;">
+            <!-- Header -->
+            <tr>
+              <td style="background:linear-gradient(135deg,#020617,#0f766e); padding:20px 24px 22px;">
+                <div style="font-size:18px;font-weight:700;color:#ffffff;">BizTradeHub</div>
+                <div style="font-size:13px;color:#cbd5f5;margin-top:4px;">AI-powered business valuation report</div>
+                <div style="font-size:11px;color:#e5e7eb;margin-top:10px;">
+                  Prepared for: <span style="font-weight:700;">${view.businessType}</span>
+                  &nbsp;•&nbsp; Issued: ${view.issuedDate}
+                </div>
+              </td>
+            </tr>
+
+            <!-- Body -->
+            <tr>
+              <td class="px" style="padding-top:26px;padding-bottom:28px;color:#111827;">
+
+                <h1 style="font-size:22px; margin:0 0 8px; color:#111827;">Your valuation estimate</h1>
+                <p style="font-size:14px; line-height:1.6; margin:0 0 20px; color:#374151;">
+                  Based on the details you provided, your business could be worth approximately:
+                </p>
+
+                <!-- Big valuation block -->
+                ${valuationBlock(view)}
+
+                <!-- Executive summary -->
+                <div style="background:#f3f4ff;border:1px solid #e0e7ff;border-radius:12px;padding:12px 14px;margin-bottom:20px;">
+                  <div style="font-size:13px;font-weight:700;margin-bottom:4px;color:#111827;">Executive summary</div>
+                  <ul style="padding-left:18px;margin:6px 0 0;font-size:13px;line-height:1.7;color:#374151;">
+                    <li>We estimate your business could sell in the range of <strong>${view.lowStr} – ${view.highStr} ${view.currency}</strong>, with a recommended listing price of <strong>${view.recStr} ${view.currency}</strong>.</li>
+                    <li>${earningsSummary(view)}</li>
+                    <li>Assuming normal market conditions, a realistic sale window is around <strong>${view.sellTime}</strong>.</li>
+                  </ul>
+                </div>
+
+                <!-- Listing preview -->
+                <h2 style="font-size:16px;margin:0 0 6px;color:#111827;">See how your business would appear to buyers</h2>
+                <p style="font-size:13px;line-height:1.6;margin:0 0 12px;color:#4b5563;">
+                  Here’s how your business could look as a live listing on BizTradeHub, based on the details you provided:
+                </p>
+
+                <!-- Mobile-first stack; desktop becomes 2-col via CSS -->
+                <div class="lp-row" style="margin-bottom:22px;">
+
+                  <!-- LEFT / TOP: listing card -->
+                  <div class="lp-col lp-left">
+                    ${listingCard(view)}
+                  </div>
+
+                  <div class="lp-gap">&nbsp;</div>
+
+                  <!-- RIGHT / BELOW: copy + CTA -->
+                  <div class="lp-col lp-right">
+                    <div style="font-size:13px;color:#4b5563;line-height:1.65;">
+                      <p style="margin:0 0 10px;">
+                        This is an example of how buyers would see your business on BizTradeHub: professional layout, clear financials, and a concise story that highlights why your business is attractive.
+                      </p>
+                      <p style="margin:0 0 8px;">When you create a listing, we’ll guide you through:</p>
+                      <ul style="margin:0 0 12px 16px;padding:0;line-height:1.55;">
+                        <li>Structuring your listing to appeal to serious buyers</li>
+                        <li>Presenting revenue, profit, and staff in a simple, trusted format</li>
+                        <li>Standing out against generic listings on other marketplaces</li>
+                      </ul>
+                      <p style="margin:0 0 12px;">
+                        You already have the numbers. Turning this into a live listing usually takes just a few minutes.
+                      </p>
+
+                      <div class="cta-wrap">
+                        <a href="${view.ctaUrl}"
+                           class="btn"
+                           style="display:inline-block;background:#111827;color:#ffffff;font-size:14px;font-weight:600;padding:12px 18px;border-radius:999px;">
+                          ${view.ctaText}
+                        </a>
+                      </div>
+                    </div>
+                  </div>
+
+                </div>
+
+                <!-- Based on what you told us -->
+                <h2 style="font-size:16px;margin:0 0 10px;color:#111827;">Based on what you told us</h2>
+                ${inputTable(view)}
+
+                <!-- How calculated -->
+                <h2 style="font-size:16px;margin:0 0 8px;color:#111827;">How this valuation was calculated</h2>
+                <p style="font-size:13px;line-height:1.65;margin:0 0 8px;color:#374151;">
+                  This estimate is based on typical sale price multiples for similar small businesses in ${view.regionName}, adjusted for your industry, reported profit, and risk profile.
+                </p>
+                ${comparablesTable(view)}
+                <p style="font-size:13px;line-height:1.65;margin:0 0 18px;color:#4b5563;">
+                  ${nl2br(view.notes)}
+                </p>
+
+                <!-- Improve -->
+                <h2 style="font-size:16px;margin:0 0 8px;color:#111827;">How to potentially improve your valuation</h2>
+                <p style="font-size:13px;line-height:1.65;margin:0 0 22px;color:#4b5563;">
+                  ${nl2br(view.improvementIdeas)}
+                </p>
+
+                <!-- Disclaimer -->
+                <p style="font-size:11px;line-height:1.55;margin-top:8px;color:#9ca3af;">
+                  ${view.disclaimer.join("\n                  ")}
+                </p>
+
+              </td>
+            </tr>
+
+            <!-- Footer -->
+            ${footer(view)}
+          </table>
+
+        </td>
+      </tr>
+    </table>
+  </body>
+</html>
+`.toString();
+}
+
+function textLines(text) {
+  return (text || "")
+    .split(/\n+/)
+    .map((line) => line.replace(/^\s*[-•*]\s*/, "").trim())
+    .filter(Boolean)
+    .map((line) => `- ${line}`);
+}
+
+// Plain-text alternative for clients and spam filters that prefer it
+export function renderValuationText(data) {
+  const view = buildReportView(data);
+
+  const profitLines = view.sdeLines.length
+    ? [
+        `Reported net profit: ${view.reportedProfitStr} ${view.currency}`,
+        ...view.sdeLines.map((line) => `  + ${line.label}: ${line.amountStr} ${view.currency}`),
+        `  = Owner's earnings (SDE): ${view.sdeStr} ${view.currency}`,
+      ]
+    : [`Annual profit / owner's earnings: ${view.profitStr} ${view.currency}`];
+
+  const earnings = view.sdeLines.length
+    ? `The estimate is based primarily on your owner's earnings (SDE) of ${view.sdeStr} ${view.currency}: reported net profit of ${view.reportedProfitStr} plus ${view.addBacksStr} in owner add-backs.`
+    : `The estimate is based primarily on your reported owner's earnings of ${view.profitStr} ${view.currency} and typical sale multiples for similar businesses.`;
+
+  return [
+    "BIZTRADEHUB VALUATION REPORT",
+    `Prepared for: ${view.businessType} · Issued: ${view.issuedDate}`,
+    view.reportUrl && `View in your browser: ${view.reportUrl}`,
+    "",
+    "YOUR VALUATION ESTIMATE",
+    `Recommended listing price: ${view.recStr} ${view.currency}`,
+    `Estimated sale range: ${view.lowStr} – ${view.highStr} ${view.currency}`,
+    `Multiple: ${view.multipleRange}`,
+    view.comparablesSummary && `Comparable sales: ${view.comparablesSummary}`,
+    `Confidence: ${view.confidence}`,
+    `Expected sale window: ${view.sellTime}`,
+    "",
+    "EXECUTIVE SUMMARY",
+    `- We estimate your business could sell in the range of ${view.lowStr} – ${view.highStr} ${view.currency}, with a recommended listing price of ${view.recStr} ${view.currency}.`,
+    `- ${earnings}`,
+    `- Assuming normal market conditions, a realistic sale window is around ${view.sellTime}.`,
+    "",
+    "HOW YOUR LISTING COULD LOOK",
+    view.listingTitle,
+    `Asking price: ${view.recStr} ${view.currency}`,
+    view.shortIntro,
+    ...view.bullets.map((b) => `- ${b}`),
+    "",
+    `${view.ctaText}: ${view.ctaUrl}`,
+    "",
+    "BASED ON WHAT YOU TOLD US",
+    `Business type: ${view.businessType}`,
+    `Location: ${view.location}`,
+    `Annual revenue: ${view.revenueLine}`,
+    ...profitLines,
+    `Years operating: ${view.yearsOperating}`,
+    `Staff count: ${view.staffCount}`,
+    "",
+    "HOW THIS VALUATION WAS CALCULATED",
+    `This estimate is based on typical sale price multiples for similar small businesses in ${view.regionName}, adjusted for your industry, reported profit, and risk profile.`,
+    ...(view.comparables.length
+      ? [
+          `Comparable sales (${view.comparablesSummary}):`,
+          ...view.comparables.map(
+            (c) => `- ${c.label} (sold ${c.soldDate}): SDE ${c.sdeStr}, price ${c.priceStr}, ${c.multipleStr}`
+          ),
+        ]
+      : []),
+    ...textLines(view.notes),
+    "",
+    "HOW TO POTENTIALLY IMPROVE YOUR VALUATION",
+    ...textLines(view.improvementIdeas),
+    "",
+    view.disclaimer.join(" "),
+    "",
+    "BizTradeHub Pty Ltd · Sydney, Australia",
+    "You’re receiving this email because you requested a business valuation on BizTradeHub.",
+    `© ${view.year} BizTradeHub. All rights reserved.`,
+    view.unsubscribeUrl && `Unsubscribe: ${view.unsubscribeUrl}`,
+  ]
+    .filter((line) => line != null && line !== false)
+    .map(stripTags)
+    .join("\n");
+}
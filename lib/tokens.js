@@ -0,0 +1,54 @@
+import { createHmac, randomBytes, timingSafeEqual } from "node:crypto";
+
+// Signed, URL-safe tokens for links we put in emails:
+//
+//   base64url(JSON { p: purpose, d: data, exp }) + "." + base64url(HMAC-SHA256)
+//
+// The purpose is signed with the data, so a token minted for one link type
+// can't be replayed against another route. `exp` (unix seconds) is optional.
+
+let secret = process.env.TOKEN_SECRET;
+if (!secret) {
+  // A per-process secret would break every emailed link (unsubscribe,
+  // report, clicks) on the next cold start, so deployments refuse to start
+  if (process.env.VERCEL || process.env.NODE_ENV === "production") {
+    throw new Error("TOKEN_SECRET must be set outside local development");
+  }
+  console.warn("TOKEN_SECRET is not set; using a random per-process secret");
+  secret = randomBytes(32).toString("hex");
+}
+
+function sign(body) {
+  return createHmac("sha256", secret).update(body).digest("base64url");
+}
+
+export function createToken(purpose, data, { expiresInSec, now = Date.now() } = {}) {
+  const payload = { p: purpose, d: data };
+  if (expiresInSec) payload.exp = Math.floor(now / 1000) + expiresInSec;
+  const body = Buffer.from(JSON.stringify(payload)).toString("base64url");
+  return `${body}.${sign(body)}`;
+}
+
+// Returns the token's data, or null when it is malformed, tampered with,
+// expired, or was minted for a different purpose.
+export function readToken(token, purpose, { now = Date.now() } = {}) {
+  if (typeof token !== "string" || token.length > 4096) return null;
+  const [body, signature, extra] = token.split(".");
+  if (!body || !signature || extra !== undefined) return null;
+
+  const expected = Buffer.from(sign(body));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, "base64url").toString("utf8"));
+  } catch {
+    return null;
+  }
+  if (payload?.p !== purpose) return null;
+  if (payload.exp && payload.exp < now / 1000) return null;
+  return payload.d;
+}
@@ -0,0 +1,211 @@
+import {
+  computeBaseline,
+  reconcileEstimates,
+  buildFallbackValuation,
+} from "./sdeEngine.js";
+import { calculateSde } from "./addBacks.js";
+import {
+  categoryImages,
+  allowedCategories,
+  classifyBusiness,
+  DEFAULT_CATEGORY,
+} from "./categories.js";
+import { requestValuation } from "./llm.js";
+import { getRegion } from "./regions.js";
+import { findComparables, summarizeComparables } from "./comparables.js";
+
+// Valuation pipeline: validated input → prompt → LLM (or rule-based
+// fallback) → baseline checks → normalised valuation. No req/res, email or
+// storage here, so it can run offline with a fake provider.
+
+function comparablesSection(comps) {
+  if (!comps?.length) return "";
+  const summary = summarizeComparables(comps);
+  const lines = comps.map(
+    (c) =>
+      `- ${c.businessType}, ${c.location} (${c.soldDate}): revenue ${c.annualRevenue}, SDE ${c.sde}, sold for ${c.salePrice} ${getRegion(c.region).currency} = ${c.multiple.toFixed(2)}x SDE`
+  );
+  return `
+Comparable completed sales (amounts in each sale's own currency; compare by SDE multiple):
+${lines.join("\n")}
+Median multiple ${summary.medianMultiple}x, spread ${summary.lowMultiple}x–${summary.highMultiple}x.
+`;
+}
+
+// Keyword match from the taxonomy, as a hint for imageCategory
+function industryLine(industry) {
+  if (!industry?.confidence) return "";
+  return `\n- Likely industry: ${industry.label} ("${industry.category}", keyword-match confidence ${industry.confidence})`;
+}
+
+export function buildValuationPrompt(
+  input,
+  sde = calculateSde(input),
+  comps = [],
+  industry = classifyBusiness(input.businessType),
+  extraRules = []
+) {
+  const region = getRegion(input.region);
+  const { currency } = region;
+  const {
+    businessType,
+    location,
+    annualRevenue,
+    annualProfit,
+    yearsOperating,
+    staffCount,
+  } = input;
+
+  const profitLines = sde.lines.length
+    ? [
+        `- Reported net profit: ${sde.reportedProfit}`,
+        `- Owner add-backs: ${sde.lines
+          .map((line) => `${line.label} ${line.amount}`)
+          .join("; ")}`,
+        `- SDE (net profit + add-backs, value on this figure): ${sde.sde}`,
+      ].join("\n")
+    : `- Annual profit / owner's earnings: ${annualProfit}`;
+
+  return `
+You are a small-business valuation assistant for ${region.name}.
+
+Estimate a realistic SALE price range using SDE (owner's earnings) multiples.
+
+Return ONLY JSON with these keys:
+- lowEstimate (number, ${currency})
+- highEstimate (number, ${currency})
+- recommendedPrice (number, ${currency})
+- multipleRange (string, e.g. "2.1x–2.8x SDE")
+- confidence (string, one of: "Low", "Medium", "High")
+- sellTime (string, e.g. "3–6 months", "6–12 months")
+- notes (string, 2–3 short bullet-style sentences joined with line breaks)
+- improvementIdeas (string, 3 concise suggestions joined with line breaks)
+- listingTitle (short, compelling listing title for a marketplace)
+- listingIntro (2–3 sentence paragraph as if it were the opening of a listing)
+- listingBullets (array of 3–5 short bullet points highlighting key strengths)
+- imageCategory (string, one of: ${allowedCategories.map((c) => `"${c}"`).join(", ")})
+
+Inputs:
+- Business type: ${businessType}${industryLine(industry)}
+- Location: ${location || "not provided"}
+- Annual revenue: ${annualRevenue ?? "not provided"}
+${profitLines}
+- Years operating: ${yearsOperating ?? "not provided"}
+- Staff count: ${staffCount ?? "not provided"}
+${comparablesSection(comps)}
+Rules:
+- Use realistic small-business multiples (typically 1x–4x of profit).
+- Where comparable sales are listed, keep multipleRange close to their median and within their spread unless the inputs clearly justify otherwise.
+- ${region.promptGuidance}
+- Be slightly conservative.
+- Currency is ${currency}; all input amounts above are in ${currency}.
+- Make the listing text sound clear, confident and professional, not salesy.
+- For imageCategory, choose the single best-fitting category from the allowed list only.
+${extraRules.map((rule) => `- ${rule}\n`).join("")}`;
+}
+
+// Returns { valuation, llmOutput, llm } where llmOutput is the raw model JSON
+// (null when the rule-based fallback produced the valuation). `promptRules`
+// are extra prompt rules from a prompt experiment variant.
+export async function runValuation(input, { provider, promptRules = [] } = {}) {
+  const region = getRegion(input.region);
+  const sde = calculateSde(input);
+
+  // Comps are picked before the model runs, so by the taxonomy match
+  const industry = classifyBusiness(input.businessType);
+  const comps = findComparables({
+    category: industry.category,
+    region: region.code,
+    location: input.location,
+    sde: sde.sde,
+    annualRevenue: input.annualRevenue,
+  });
+  const prompt = buildValuationPrompt(input, sde, comps, industry, promptRules);
+
+  // 1) Ask GPT for a valuation + listing teaser
+  let data = null;
+  let llmOutput = null;
+  let llm = { model: null, attempts: [] };
+  let source = "llm";
+  let adjustments = [];
+  const llmStarted = Date.now();
+  try {
+    const reply = await requestValuation({
+      prompt,
+      categories: allowedCategories,
+      provider,
+    });
+    data = reply.value;
+    llmOutput = reply.raw;
+    llm = { model: reply.model, attempts: reply.attempts };
+  } catch (llmError) {
+    console.error("OpenAI valuation error:", llmError);
+    llm = { model: null, attempts: llmError.attempts || [] };
+  }
+  llm.durationMs = Date.now() - llmStarted;
+
+  // Choose image category: GPT's value first, then the taxonomy match
+  const chosenCategory = data?.imageCategory || industry.category;
+
+  // Anchor the figures against the rule-based SDE baseline
+  const baseline = computeBaseline({
+    category: chosenCategory,
+    region: region.code,
+    annualProfit: sde.sde,
+    annualRevenue: input.annualRevenue,
+    yearsOperating: input.yearsOperating,
+    staffCount: input.staffCount,
+  });
+
+  if (!data) {
+    if (!baseline) throw new Error("No LLM valuation and no usable profit");
+    data = buildFallbackValuation(input, baseline);
+    source = "fallback";
+  } else if (baseline) {
+    const checked = reconcileEstimates(data, baseline);
+    adjustments = checked.flags;
+    if (checked.flags.length) {
+      console.error("Valuation adjusted to baseline:", checked.flags);
+      data = {
+        ...data,
+        lowEstimate: checked.lowEstimate,
+        highEstimate: checked.highEstimate,
+        recommendedPrice: checked.recommendedPrice,
+        multipleRange: checked.multipleRange,
+      };
+    }
+  }
+
+  const valuation = {
+    region: region.code,
+    currency: region.currency,
+    lowEstimate: data.lowEstimate,
+    highEstimate: data.highEstimate,
+    recommendedPrice: data.recommendedPrice,
+    multipleRange: data.multipleRange,
+    comparables: {
+      summary: summarizeComparables(comps),
+      sales: comps,
+    },
+    confidence: data.confidence,
+    sellTime: data.sellTime,
+    notes: data.notes,
+    improvementIdeas: data.improvementIdeas,
+    listingTitle: data.listingTitle,
+    listingIntro: data.listingIntro,
+    listingBullets: data.listingBullets,
+    sde,
+    chosenCategory,
+    industry: {
+      category: industry.category,
+      subcategory: industry.subcategory,
+      label: industry.label,
+      confidence: industry.confidence,
+    },
+    thumbUrl: categoryImages[chosenCategory] || categoryImages[DEFAULT_CATEGORY],
+    source,
+    adjustments,
+  };
+
+  return { valuation, llmOutput, llm };
+}
@@ -0,0 +1,168 @@
+import { runValuation } from "./valuationPipeline.js";
+import {
+  renderValuationEmail,
+  renderValuationText,
+  valuationSubject,
+} from "./templates/valuationEmail.js";
+import { renderValuationPdf } from "./pdfReport.js";
+import {
+  createValuationRecord,
+  saveValuationRecord,
+  reportUrl,
+  pdfUrl,
+} from "./records.js";
+import { buildLeadPayload, sendLeadWebhooks } from "./webhooks.js";
+import { sendMail } from "./mailer.js";
+import { isSuppressed, unsubscribeUrl } from "./suppression.js";
+import { scheduleFollowUps } from "./followUps.js";
+import {
+  buildListingDraft,
+  saveListingDraft,
+  listingUrl,
+} from "./listingDrafts.js";
+import { assignVariants, variantFor } from "./experiments.js";
+import { clickUrl } from "./clicks.js";
+
+// One valuation end to end, for validated input: value → store → listing
+// draft → email → follow-ups → lead webhooks. Shared by the form handler
+// and the broker batch route; request concerns (abuse checks, response
+// shape) stay with the callers.
+//
+// Only the valuation itself can throw. Storage, email and webhook problems
+// are logged and reported through `stored` / `emailStatus`.
+export async function createValuation(input, { sendEmail = true } = {}) {
+  const { email } = input;
+  const experiments = assignVariants(email);
+
+  // 1) Value the business: LLM checked against the SDE baseline, with the
+  // rule-based engine standing in when the model is unavailable
+  const { valuation, llmOutput, llm } = await runValuation(input, {
+    promptRules: variantFor("prompt", experiments).rules,
+  });
+  const { chosenCategory } = valuation;
+
+  // 2) Store the record so the report can be linked to and fetched later.
+  // Storage problems are logged but never block the customer's valuation.
+  const record = createValuationRecord({
+    input,
+    llmOutput,
+    llm,
+    valuation,
+    chosenCategory,
+    experiments,
+    emailStatus: "pending",
+  });
+  let stored = false;
+  try {
+    await saveValuationRecord(record);
+    stored = true;
+  } catch (storeError) {
+    console.error("Valuation store error:", storeError);
+  }
+
+  // Prefilled listing behind the CTA; without one the button falls back
+  // to the marketplace home page
+  let listingDraftId = null;
+  if (stored) {
+    try {
+      const draft = buildListingDraft(record);
+      await saveListingDraft(draft);
+      listingDraftId = draft.id;
+    } catch (draftError) {
+      console.error("Listing draft error:", draftError);
+    }
+  }
+  const ctaUrl = listingDraftId ? listingUrl(listingDraftId) : undefined;
+
+  // The emailed CTA goes through the click tracker, so variants can be
+  // compared on click-through
+  const report = {
+    input,
+    valuation,
+    issuedAt: record.createdAt,
+    reportUrl: stored ? reportUrl(record.id) : null,
+    ctaUrl: listingDraftId ? clickUrl(record.id, "email") : undefined,
+    copy: variantFor("email", experiments),
+  };
+
+  // 3) Send the email using Resend. Unsubscribed addresses still get their
+  // valuation back from the API, but are never emailed again.
+  let emailStatus = "skipped";
+  let emailMs = null;
+  if (email && sendEmail && (await isSuppressed(email))) {
+    emailStatus = "suppressed";
+  } else if (email && sendEmail) {
+    const emailReport = { ...report, unsubscribeUrl: unsubscribeUrl(email) };
+
+    // PDF copy for the seller's accountant; the email still goes without it
+    const attachments = [];
+    try {
+      const pdf = await renderValuationPdf({
+        input,
+        valuation,
+        issuedAt: record.createdAt,
+      });
+      attachments.push({
+        filename: "biztradehub-valuation.pdf",
+        content: pdf,
+      });
+    } catch (pdfError) {
+      console.error("PDF render error:", pdfError);
+    }
+
+    const sendStarted = Date.now();
+    try {
+      const { error: emailError } = await sendMail({
+        to: email,
+        subject: valuationSubject(emailReport),
+        html: renderValuationEmail(emailReport),
+        text: renderValuationText(emailReport),
+        attachments,
+      });
+      if (emailError) {
+        console.error("Resend email error:", emailError);
+        emailStatus = "failed";
+      } else {
+        emailStatus = "sent";
+      }
+    } catch (sendError) {
+      console.error("Resend email error:", sendError);
+      emailStatus = "failed";
+    }
+    emailMs = Date.now() - sendStarted;
+  }
+
+  const finalRecord = { ...record, listingDraftId, emailStatus };
+  if (stored) {
+    try {
+      await saveValuationRecord(finalRecord);
+    } catch (storeError) {
+      console.error("Valuation store error:", storeError);
+    }
+  }
+
+  // Follow-ups re-read the stored record, so only schedule them for one
+  if (stored && emailStatus === "sent") {
+    try {
+      await scheduleFollowUps(finalRecord);
+    } catch (queueError) {
+      console.error("Follow-up scheduling error:", queueError);
+    }
+  }
+
+  // Hand the lead to the CRM: one short attempt here, retries from the job
+  // queue, then dead letters; never fails the customer's request
+  await sendLeadWebhooks(
+    buildLeadPayload({ record: finalRecord, reportUrl: report.reportUrl })
+  );
+
+  return {
+    record: finalRecord,
+    stored,
+    emailStatus,
+    reportUrl: report.reportUrl,
+    pdfUrl: stored ? pdfUrl(record.id) : null,
+    listingUrl: ctaUrl || null,
+    emailMs,
+  };
+}
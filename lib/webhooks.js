@@ -0,0 +1,217 @@
+import { createHmac, timingSafeEqual, randomUUID } from "node:crypto";
+import { getStore } from "./store.js";
+import { scheduleJob, registerJobHandler } from "./jobQueue.js";
+
+// Outbound lead webhooks. Every valuation is POSTed as JSON to each
+// configured endpoint, signed so the CRM can prove it came from us:
+//
+//   X-BTH-Timestamp: <unix seconds>
+//   X-BTH-Signature: v1=<hex HMAC-SHA256 of "<timestamp>.<raw body>">
+//   X-BTH-Delivery:  <delivery id, stable across retries>
+//
+// Endpoints come from LEAD_WEBHOOKS (JSON: [{ "url", "secret" }]) or from
+// LEAD_WEBHOOK_URLS (comma-separated) sharing LEAD_WEBHOOK_SECRET.
+//
+// The first attempt is made in the request with a short timeout; retries
+// run from the job queue with exponential backoff, so a slow or down CRM
+// never holds up the customer. Deliveries that still fail after the last
+// retry are kept as dead letters.
+
+export const SIGNATURE_HEADER = "x-bth-signature";
+export const TIMESTAMP_HEADER = "x-bth-timestamp";
+export const DELIVERY_HEADER = "x-bth-delivery";
+
+const DEAD_LETTERS = "webhookDeadLetters";
+
+export const WEBHOOK_JOB = "leadWebhook";
+
+const MAX_ATTEMPTS = Number(process.env.LEAD_WEBHOOK_MAX_ATTEMPTS) || 4;
+// Delay before the first retry, doubling after each
+const BASE_DELAY_MS = Number(process.env.LEAD_WEBHOOK_BASE_DELAY_MS) || 60 * 1000;
+const TIMEOUT_MS = Number(process.env.LEAD_WEBHOOK_TIMEOUT_MS) || 5000;
+const INLINE_TIMEOUT_MS =
+  Number(process.env.LEAD_WEBHOOK_INLINE_TIMEOUT_MS) || 2000;
+
+export function getWebhookEndpoints(env = process.env) {
+  if (env.LEAD_WEBHOOKS) {
+    try {
+      return JSON.parse(env.LEAD_WEBHOOKS).filter((e) => e && e.url && e.secret);
+    } catch (err) {
+      console.error("Invalid LEAD_WEBHOOKS config:", err.message);
+      return [];
+    }
+  }
+  if (!env.LEAD_WEBHOOK_URLS || !env.LEAD_WEBHOOK_SECRET) return [];
+  return env.LEAD_WEBHOOK_URLS.split(",")
+    .map((url) => url.trim())
+    .filter(Boolean)
+    .map((url) => ({ url, secret: env.LEAD_WEBHOOK_SECRET }));
+}
+
+export function signPayload(body, secret, timestamp) {
+  const digest = createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+  return `v1=${digest}`;
+}
+
+// For the receiving side. `body` must be the raw request body string, not
+// re-serialised JSON. Rejects timestamps older than `toleranceSec`.
+export function verifyWebhookSignature({
+  body,
+  signature,
+  timestamp,
+  secret,
+  toleranceSec = 300,
+  now = Date.now(),
+}) {
+  if (!body || !signature || !timestamp || !secret) return false;
+
+  const ts = Number(timestamp);
+  if (!Number.isFinite(ts)) return false;
+  if (Math.abs(now / 1000 - ts) > toleranceSec) return false;
+
+  const expected = Buffer.from(signPayload(body, secret, ts));
+  const received = Buffer.from(String(signature));
+  return (
+    expected.length === received.length && timingSafeEqual(expected, received)
+  );
+}
+
+export function buildLeadPayload({ record, reportUrl }) {
+  return {
+    event: "valuation.created",
+    id: record.id,
+    createdAt: record.createdAt,
+    chosenCategory: record.chosenCategory,
+    emailStatus: record.emailStatus,
+    reportUrl,
+    input: record.input,
+    valuation: record.valuation,
+  };
+}
+
+// 408, 429 and 5xx are worth retrying; other 4xx mean the receiver rejected
+// the payload and will keep doing so
+function isRetryable(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+// One signed POST. Resolves { ok, deliveryId, status?, error?, retryable };
+// never throws.
+export async function deliverWebhook(
+  endpoint,
+  payload,
+  {
+    deliveryId = randomUUID(),
+    timeoutMs = TIMEOUT_MS,
+    fetchImpl = (...args) => fetch(...args),
+  } = {}
+) {
+  const body = JSON.stringify(payload);
+  // Fresh timestamp per attempt so retries stay inside the tolerance
+  const timestamp = Math.floor(Date.now() / 1000);
+  try {
+    const response = await fetchImpl(endpoint.url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "BizTradeHub-Webhooks/1.0",
+        [TIMESTAMP_HEADER]: String(timestamp),
+        [SIGNATURE_HEADER]: signPayload(body, endpoint.secret, timestamp),
+        [DELIVERY_HEADER]: deliveryId,
+      },
+      body,
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    return {
+      ok: response.ok,
+      deliveryId,
+      status: response.status,
+      retryable: !response.ok && isRetryable(response.status),
+    };
+  } catch (err) {
+    return { ok: false, deliveryId, error: err.message, retryable: true };
+  }
+}
+
+async function storeDeadLetter({ deliveryId, url, payload, attempts }) {
+  try {
+    await getStore().put(DEAD_LETTERS, deliveryId, {
+      id: deliveryId,
+      url,
+      payload,
+      attempts,
+      failedAt: new Date().toISOString(),
+    });
+  } catch (storeError) {
+    console.error("Webhook dead-letter store error:", storeError);
+  }
+  console.error("Lead webhook failed:", url, attempts);
+}
+
+// Record an attempt, then queue the next one or give up. Only the URL goes
+// into the job; the secret is looked up again when it runs.
+async function afterAttempt(result, { url, payload, attempts }) {
+  const log = [
+    ...attempts,
+    {
+      attempt: attempts.length + 1,
+      ...(result.status ? { status: result.status } : { error: result.error }),
+      at: new Date().toISOString(),
+    },
+  ];
+  if (result.ok) return "delivered";
+
+  if (result.retryable && log.length < MAX_ATTEMPTS) {
+    await scheduleJob({
+      type: WEBHOOK_JOB,
+      runAt: Date.now() + BASE_DELAY_MS * 2 ** (log.length - 1),
+      data: { url, deliveryId: result.deliveryId, payload, attempts: log },
+    });
+    return "retry_scheduled";
+  }
+
+  await storeDeadLetter({ deliveryId: result.deliveryId, url, payload, attempts: log });
+  return "dead_letter";
+}
+
+// Deliver to every configured endpoint: one short attempt each in the
+// request, retries from the job queue. Never throws; deliveries that run
+// out of attempts end up as dead letters.
+export async function sendLeadWebhooks(payload, options = {}) {
+  const endpoints = options.endpoints || getWebhookEndpoints();
+  return Promise.all(
+    endpoints.map(async (endpoint) => {
+      const result = await deliverWebhook(endpoint, payload, {
+        timeoutMs: INLINE_TIMEOUT_MS,
+        ...options,
+      });
+      try {
+        const outcome = await afterAttempt(result, {
+          url: endpoint.url,
+          payload,
+          attempts: [],
+        });
+        return { ...result, outcome };
+      } catch (queueError) {
+        console.error("Webhook retry scheduling error:", queueError);
+        return { ...result, outcome: "error" };
+      }
+    })
+  );
+}
+
+registerJobHandler(WEBHOOK_JOB, async ({ url, deliveryId, payload, attempts }) => {
+  const endpoint = getWebhookEndpoints().find((e) => e.url === url);
+  if (!endpoint) {
+    await storeDeadLetter({ deliveryId, url, payload, attempts });
+    return "endpoint_removed";
+  }
+  const result = await deliverWebhook(endpoint, payload, { deliveryId });
+  return afterAttempt(result, { url, payload, attempts });
+});
+
+export async function listDeadLetters() {
+  return getStore().list(DEAD_LETTERS);
+}
@@ -0,0 +1,61 @@
+import { taxonomy, DEFAULT_CATEGORY } from "../lib/categories.js";
+import {
+  loadComparableSales,
+  isSampleData,
+  MIN_SAME_REGION,
+} from "../lib/comparables.js";
+import { REGIONS } from "../lib/regions.js";
+
+// Build step: every taxonomy category needs a multipleBand for the rule-based
+// engine (lib/sdeEngine.js), so a new category fails the build instead of
+// quietly being valued as the default one. Categories with no comparable
+// sales, or too few in a region to be used on their own, are reported; they
+// still work, just without (local) comps. So is a dataset still marked as
+// sample data, which is never shown to customers.
+
+const problems = [];
+for (const { id, multipleBand: band } of taxonomy.categories) {
+  if (!band || !(band.low > 0) || !(band.high > band.low)) {
+    problems.push(`Category "${id}" needs a multipleBand { low, high } with 0 < low < high`);
+  }
+}
+
+if (isSampleData()) {
+  console.warn(
+    "data/comparableSales.json is sample data; comps are left out of prompts and reports"
+  );
+}
+
+const sales = loadComparableSales();
+const withSales = new Set(sales.map((sale) => sale.category));
+for (const { id } of taxonomy.categories) {
+  if (id !== DEFAULT_CATEGORY && !withSales.has(id)) {
+    console.warn(`Category "${id}" has no comparable sales in data/comparableSales.json`);
+  }
+}
+for (const region of Object.keys(REGIONS)) {
+  const thin = taxonomy.categories
+    .filter(({ id }) => withSales.has(id))
+    .filter(
+      ({ id }) =>
+        sales.filter((s) => s.category === id && s.region === region).length <
+        MIN_SAME_REGION
+    )
+    .map(({ id }) => id);
+  if (thin.length) {
+    console.warn(
+      `Fewer than ${MIN_SAME_REGION} ${region} sales for ${thin.join(", ")}; valuations there use other regions' comps`
+    );
+  }
+}
+for (const category of withSales) {
+  if (!taxonomy.categories.some((c) => c.id === category)) {
+    console.warn(`Comparable sales use unknown category "${category}"`);
+  }
+}
+
+if (problems.length) {
+  for (const problem of problems) console.error(problem);
+  process.exit(1);
+}
+console.log(`Checked ${taxonomy.categories.length} taxonomy categories`);
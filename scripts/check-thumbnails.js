@@ -0,0 +1,24 @@
+import { existsSync, writeFileSync } from "node:fs";
+import { resolveThumbnails } from "../lib/categories.js";
+
+// Build step: resolve every taxonomy category to a thumbnail that exists in
+// public/thumbnails and write the result to data/thumbnails.json. Missing
+// images are reported and replaced by their fallback; the build fails only
+// when a category has no usable image at all.
+
+const publicDir = new URL("../public/thumbnails/", import.meta.url);
+const manifest = new URL("../data/thumbnails.json", import.meta.url);
+
+try {
+  const { resolved, missing } = resolveThumbnails((file) =>
+    existsSync(new URL(file, publicDir))
+  );
+  for (const { category, image, using } of missing) {
+    console.warn(`Thumbnail ${image} for "${category}" is missing; using ${using}`);
+  }
+  writeFileSync(manifest, `${JSON.stringify(resolved, null, 2)}\n`);
+  console.log(`Resolved ${Object.keys(resolved).length} category thumbnails`);
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
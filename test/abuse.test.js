@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  submissionKey,
+  claimSubmission,
+  completeSubmission,
+  createMemoryAbuseStore,
+  setAbuseStore,
+} from "../lib/abuse.js";
+
+const request = (ip, key) => ({
+  headers: { "x-forwarded-for": ip, ...(key ? { "idempotency-key": key } : {}) },
+  body: {},
+});
+const payload = { input: { businessType: "Cafe" }, jsonMode: true };
+
+test("an Idempotency-Key is scoped to the caller and the payload", () => {
+  const mine = submissionKey(request("1.1.1.1", "abc"), payload);
+  assert.equal(submissionKey(request("1.1.1.1", "abc"), payload), mine);
+  assert.notEqual(submissionKey(request("2.2.2.2", "abc"), payload), mine);
+  assert.notEqual(
+    submissionKey(request("1.1.1.1", "abc"), { ...payload, jsonMode: false }),
+    mine
+  );
+});
+
+test("only one of several concurrent claims wins", async () => {
+  setAbuseStore(createMemoryAbuseStore());
+  const key = submissionKey(request("1.1.1.1"), payload);
+  const claims = await Promise.all([1, 2, 3].map(() => claimSubmission(key)));
+  assert.equal(claims.filter((claim) => claim === null).length, 1);
+
+  await completeSubmission(key, { ok: true, id: "x" });
+  assert.deepEqual(await claimSubmission(key), {
+    status: "done",
+    response: { ok: true, id: "x" },
+  });
+});
@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Readable } from "node:stream";
+import { createMemoryStore, setStore } from "../lib/store.js";
+import { createStoreJobQueue, setJobQueue, runDueJobs } from "../lib/jobQueue.js";
+import { createBatch, getBatch, runBatch, queueBatch } from "../lib/batch.js";
+
+// Rows without a business type fail validation, so no model is called
+const rows = [{}, {}, {}, {}, {}];
+
+test("a large batch is valued a chunk at a time from the job queue", async () => {
+  const store = createMemoryStore();
+  setStore(store);
+  setJobQueue(createStoreJobQueue(store));
+
+  const batch = await createBatch({ rows, sendEmails: false, owner: "test" });
+  assert.equal(await runBatch(batch.id, { maxRows: 2 }), "partial");
+  assert.equal((await getBatch(batch.id)).results.filter(Boolean).length, 2);
+
+  await queueBatch(batch.id);
+  await runDueJobs();
+  const after = await getBatch(batch.id);
+  assert.equal(after.status, "done");
+  assert.equal(after.results.filter(Boolean).length, rows.length);
+  assert.equal(after.results[4].status, "error");
+});
+
+function mockResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+    send(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+test("POST /api/batch reads a text/csv body the runtime left unparsed", async () => {
+  setStore(createMemoryStore());
+  process.env.BROKER_API_KEYS = "broker-key";
+  const { default: handler } = await import("../api/batch.js");
+
+  const req = Readable.from(["location,annualProfit\nSydney,100000\n", "Perth,90000\n"]);
+  Object.assign(req, {
+    method: "POST",
+    headers: { authorization: "Bearer broker-key", "content-type": "text/csv" },
+    query: { sendEmails: "false" },
+    body: undefined,
+  });
+  const res = mockResponse();
+  await handler(req, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.match(res.headers["content-type"], /text\/csv/);
+  const lines = res.body.trim().split("\n");
+  assert.equal(lines.length, 3);
+  assert.match(lines[1], /^1,error,/);
+});
@@ -0,0 +1,84 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryStore, setStore, dayCollection } from "../lib/store.js";
+import { createValuationRecord, saveValuationRecord } from "../lib/records.js";
+import { clickUrl, readClickToken } from "../lib/clicks.js";
+import { LISTING_START_URL, readListingToken } from "../lib/listingDrafts.js";
+import handler from "../api/click.js";
+
+let store;
+
+beforeEach(() => {
+  store = createMemoryStore();
+  setStore(store);
+});
+
+function tokenOf(url) {
+  return new URL(url).searchParams.get("token");
+}
+
+async function click(token, method = "GET") {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    end() {
+      return this;
+    },
+  };
+  await handler({ method, query: { token } }, res);
+  return res;
+}
+
+async function loggedClicks() {
+  return store.list(dayCollection("events", new Date()));
+}
+
+test("a click token round-trips and redirects to the valuation's draft", async () => {
+  const record = createValuationRecord({
+    input: { businessType: "Cafe" },
+    valuation: {},
+    listingDraftId: "draft-1",
+    experiments: { "email-copy-1": "price_first" },
+  });
+  await saveValuationRecord(record);
+  const token = tokenOf(clickUrl(record.id, "email"));
+  assert.deepEqual(readClickToken(token), { valuationId: record.id, link: "email" });
+
+  const res = await click(token);
+  assert.equal(res.statusCode, 302);
+  const location = new URL(res.headers.location);
+  assert.equal(readListingToken(location.searchParams.get("draft")), "draft-1");
+
+  const [event] = await loggedClicks();
+  assert.equal(event.outcome, "click");
+  assert.equal(event.link, "email");
+  assert.deepEqual(event.experiments, { "email-copy-1": "price_first" });
+});
+
+test("a tampered token is rejected but still redirects to the blank form", async () => {
+  const token = tokenOf(clickUrl("some-valuation", "report"));
+  const [body, signature] = token.split(".");
+  const forged = Buffer.from(
+    JSON.stringify({ ...JSON.parse(Buffer.from(body, "base64url")), d: { v: "other" } })
+  ).toString("base64url");
+  assert.equal(readClickToken(`${forged}.${signature}`), null);
+
+  const res = await click(`${forged}.${signature}`);
+  assert.equal(res.statusCode, 302);
+  assert.equal(res.headers.location, LISTING_START_URL);
+  const [event] = await loggedClicks();
+  assert.equal(event.outcome, "invalid_click");
+});
+
+test("HEAD requests redirect without being counted", async () => {
+  const res = await click(tokenOf(clickUrl("some-valuation", "email")), "HEAD");
+  assert.equal(res.statusCode, 302);
+  assert.deepEqual(await loggedClicks(), []);
+});
@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  findComparables,
+  isSampleData,
+  setComparableSales,
+} from "../lib/comparables.js";
+
+const request = { category: "cafe", region: "AU", sde: 150000, annualRevenue: 800000 };
+
+test("sample data never becomes comps", () => {
+  assert.equal(isSampleData(), true);
+  assert.deepEqual(findComparables(request), []);
+});
+
+test("real sales are used, preferring the request's region", () => {
+  const sale = (id, region, sde) => ({
+    id,
+    category: "cafe",
+    region,
+    sde,
+    salePrice: sde * 2,
+    annualRevenue: sde * 5,
+  });
+  setComparableSales([
+    sale("a", "AU", 140000),
+    sale("b", "AU", 160000),
+    sale("c", "AU", 400000),
+    sale("d", "UK", 150000),
+  ]);
+  assert.equal(isSampleData(), false);
+  assert.deepEqual(
+    findComparables(request, { limit: 2 }).map((comp) => comp.id).sort(),
+    ["a", "b"]
+  );
+});
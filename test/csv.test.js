@@ -0,0 +1,27 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCsv, toCsv } from "../lib/csv.js";
+
+const cell = (value) => toCsv([{ value }], ["value"]).split("\r\n")[1];
+
+test("toCsv neutralises spreadsheet formulas", () => {
+  assert.equal(cell("=1+1"), "'=1+1");
+  assert.equal(cell("+61 400"), "'+61 400");
+  assert.equal(cell("@SUM(A1)"), "'@SUM(A1)");
+  assert.equal(cell('-1+HYPERLINK("http://x","y")'), `"'-1+HYPERLINK(""http://x"",""y"")"`);
+  assert.equal(cell("-2e3"), "'-2e3");
+  assert.equal(cell("\t=1"), "'\t=1");
+  assert.equal(cell("\r=1"), `"'\r=1"`);
+});
+
+test("toCsv leaves plain numbers and text alone", () => {
+  assert.equal(cell(-20000), "-20000");
+  assert.equal(cell("-12.5"), "-12.5");
+  assert.equal(cell(450000), "450000");
+  assert.equal(cell("Cafe, Sydney"), '"Cafe, Sydney"');
+});
+
+test("parseCsv reads what toCsv writes", () => {
+  const rows = [{ a: 'say "hi"', b: "two\nlines" }];
+  assert.deepEqual(parseCsv(toCsv(rows)), rows);
+});
@@ -0,0 +1,25 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryStore, setStore, dayCollection } from "../lib/store.js";
+import { logEvent, listEvents, purgeOldEvents } from "../lib/events.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test("events are stored per day, listed by range and dropped after retention", async () => {
+  const store = createMemoryStore();
+  setStore(store);
+  const now = Date.now();
+  const old = await logEvent({ route: "valuation", started: now - 3 * DAY_MS, status: 200 });
+  const recent = await logEvent({ route: "valuation", started: now - 1000, status: 400 });
+
+  assert.equal((await store.list(dayCollection("events", recent.at))).length, 1);
+
+  const lastTwoDays = await listEvents({ from: new Date(now - 2 * DAY_MS), to: new Date(now) });
+  assert.deepEqual(lastTwoDays.map((event) => event.id), [recent.id]);
+  const all = await listEvents({ from: new Date(0), to: new Date(now + 1) });
+  assert.deepEqual(all.map((event) => event.id), [old.id, recent.id]);
+
+  assert.equal(await purgeOldEvents(), 0);
+  assert.equal(await purgeOldEvents({ now: new Date(now + 366 * DAY_MS) }), 2);
+  assert.deepEqual(await listEvents({ from: new Date(0), to: new Date(now + 1) }), []);
+});
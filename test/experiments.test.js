@@ -0,0 +1,36 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { EXPERIMENTS, assignVariants, variantFor } from "../lib/experiments.js";
+
+test("the same email always gets the same variants", () => {
+  const first = assignVariants("Owner@Example.com");
+  assert.deepEqual(assignVariants("owner@example.com "), first);
+  for (const experiment of EXPERIMENTS.filter((e) => e.active)) {
+    assert.ok(experiment.variants.some((v) => v.id === first[experiment.id]));
+  }
+});
+
+test("variant weights are respected", () => {
+  EXPERIMENTS.push({
+    id: "test-weights",
+    slot: "test",
+    active: true,
+    variants: [{ id: "heavy", weight: 3 }, { id: "light", weight: 1 }],
+  });
+  try {
+    const runs = 4000;
+    let heavy = 0;
+    for (let i = 0; i < runs; i++) {
+      if (assignVariants(`seller${i}@example.com`)["test-weights"] === "heavy") heavy++;
+    }
+    assert.ok(Math.abs(heavy / runs - 0.75) < 0.03, `heavy share ${heavy / runs}`);
+  } finally {
+    EXPERIMENTS.pop();
+  }
+});
+
+test("variantFor falls back to the control", () => {
+  const experiment = EXPERIMENTS.find((e) => e.active && e.slot === "email");
+  assert.equal(variantFor("email", {}).id, experiment.variants[0].id);
+  assert.deepEqual(variantFor("no-such-slot", {}), {});
+});
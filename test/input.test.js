@@ -0,0 +1,31 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseAmount, validateValuationInput } from "../lib/input.js";
+
+test("parseAmount reads the shorthand people type", () => {
+  assert.equal(parseAmount("$450k"), 450000);
+  assert.equal(parseAmount("1.2m"), 1200000);
+  assert.equal(parseAmount("450,000"), 450000);
+  assert.equal(parseAmount("about 300000"), 300000);
+  assert.equal(parseAmount("$1,250,000 AUD"), 1250000);
+  assert.equal(parseAmount("2 million"), 2000000);
+  assert.equal(parseAmount("150k p.a."), 150000);
+  assert.equal(parseAmount(-20000), -20000);
+  assert.equal(parseAmount(""), null);
+  assert.equal(parseAmount(null), null);
+});
+
+test("parseAmount rejects input with more than one number", () => {
+  for (const raw of ["1e6", "5m2", "1,2", "1,2m", "250 000", "300k-400k", "1.5.3", "abc"]) {
+    assert.ok(Number.isNaN(parseAmount(raw)), raw);
+  }
+});
+
+test("validateValuationInput reports junk amounts as invalid_number", () => {
+  const result = validateValuationInput(
+    { businessType: "Cafe", annualProfit: "300k-400k" },
+    { requireEmail: false }
+  );
+  assert.equal(result.ok, false);
+  assert.equal(result.errors.annualProfit, "invalid_number");
+});
@@ -0,0 +1,31 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryStore, dayCollection } from "../lib/store.js";
+import {
+  createStoreJobQueue,
+  setJobQueue,
+  registerJobHandler,
+  scheduleJob,
+  runDueJobs,
+  purgeFinishedJobs,
+} from "../lib/jobQueue.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+test("finished jobs leave the active queue and are purged after retention", async () => {
+  const store = createMemoryStore();
+  setJobQueue(createStoreJobQueue(store));
+  registerJobHandler("test.noop", async () => "ok");
+
+  const job = await scheduleJob({ type: "test.noop", runAt: Date.now() });
+  assert.deepEqual(await runDueJobs(), { due: 1, done: 1, retrying: 0, failed: 0 });
+  assert.deepEqual(await store.list("jobs"), []);
+
+  const [finished] = await store.list(dayCollection("finishedJobs", new Date()));
+  assert.equal(finished.id, job.id);
+  assert.equal(finished.result, "ok");
+
+  assert.equal(await purgeFinishedJobs(), 0);
+  assert.equal(await purgeFinishedJobs({ now: new Date(Date.now() + 31 * DAY_MS) }), 1);
+  assert.deepEqual(await store.list(dayCollection("finishedJobs", new Date())), []);
+});
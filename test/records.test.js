@@ -0,0 +1,43 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryStore, setStore } from "../lib/store.js";
+import { createValuationRecord, saveValuationRecord } from "../lib/records.js";
+import handler from "../api/valuations/[id].js";
+
+test("GET /api/valuations/:id leaves out the email and internal fields", async () => {
+  setStore(createMemoryStore());
+  const record = createValuationRecord({
+    input: { businessType: "Cafe", email: "owner@example.com", annualProfit: 160000 },
+    llmOutput: { notes: "raw" },
+    llm: { model: "m", attempts: [{ ok: true }] },
+    valuation: { lowEstimate: 1, highEstimate: 2, source: "llm", adjustments: [] },
+    chosenCategory: "cafe",
+    experiments: { email: "control" },
+    emailStatus: "sent",
+  });
+  await saveValuationRecord(record);
+
+  let status;
+  let body;
+  const res = {
+    status(code) {
+      status = code;
+      return this;
+    },
+    json(value) {
+      body = value;
+      return this;
+    },
+  };
+  await handler({ method: "GET", query: { id: record.id } }, res);
+
+  assert.equal(status, 200);
+  assert.deepEqual(body, {
+    id: record.id,
+    createdAt: record.createdAt,
+    input: { businessType: "Cafe", annualProfit: 160000 },
+    valuation: { lowEstimate: 1, highEstimate: 2 },
+    chosenCategory: "cafe",
+  });
+  assert.doesNotMatch(JSON.stringify(body), /owner@example\.com/);
+});
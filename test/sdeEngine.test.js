@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { computeBaseline, reconcileEstimates, MULTIPLE_BANDS } from "../lib/sdeEngine.js";
+
+const cafe = {
+  category: "cafe",
+  region: "AU",
+  annualProfit: 160000,
+  annualRevenue: 850000,
+  yearsOperating: 8,
+  staffCount: 6,
+};
+
+test("computeBaseline applies the category band and adjustments", () => {
+  const baseline = computeBaseline(cafe);
+  assert.equal(baseline.category, "cafe");
+  assert.equal(baseline.lowMultiple, MULTIPLE_BANDS.cafe.low + 0.1);
+  assert.equal(baseline.highMultiple, MULTIPLE_BANDS.cafe.high + 0.1);
+  assert.equal(baseline.multipleRange, "1.6x–2.6x SDE");
+  assert.ok(baseline.lowEstimate < baseline.recommendedPrice);
+  assert.ok(baseline.recommendedPrice < baseline.highEstimate);
+});
+
+test("computeBaseline needs a positive profit and falls back to the default band", () => {
+  assert.equal(computeBaseline({ ...cafe, annualProfit: 0 }), null);
+  assert.equal(computeBaseline({ ...cafe, category: "nope" }).category, "generic");
+});
+
+const baseline = computeBaseline(cafe);
+
+test("reconcileEstimates keeps figures inside the band", () => {
+  const result = reconcileEstimates(
+    { lowEstimate: 280000, highEstimate: 380000, recommendedPrice: 320000 },
+    baseline
+  );
+  assert.deepEqual(result.flags, []);
+  assert.equal(result.recommendedPrice, 320000);
+  assert.equal(result.multipleRange, "1.8x–2.4x SDE");
+});
+
+test("reconcileEstimates swaps an inverted range", () => {
+  const result = reconcileEstimates(
+    { lowEstimate: 380000, highEstimate: 280000, recommendedPrice: 320000 },
+    baseline
+  );
+  assert.deepEqual(result.flags, ["range_inverted"]);
+  assert.equal(result.lowEstimate, 280000);
+  assert.equal(result.highEstimate, 380000);
+});
+
+for (const [label, figures] of [
+  ["below", { lowEstimate: 50000, highEstimate: 60000, recommendedPrice: 55000 }],
+  ["above", { lowEstimate: 900000, highEstimate: 1200000, recommendedPrice: 1000000 }],
+]) {
+  test(`reconcileEstimates uses the baseline when the range is all ${label} the band`, () => {
+    const result = reconcileEstimates(figures, baseline);
+    assert.ok(result.flags.includes("range_replaced_by_baseline"));
+    assert.equal(result.lowEstimate, baseline.lowEstimate);
+    assert.equal(result.highEstimate, baseline.highEstimate);
+    assert.equal(result.recommendedPrice, baseline.recommendedPrice);
+    assert.equal(result.multipleRange, baseline.multipleRange);
+  });
+}
+
+test("reconcileEstimates clamps one end and reports the range it implies", () => {
+  const result = reconcileEstimates(
+    { lowEstimate: 100000, highEstimate: 320000, recommendedPrice: 300000 },
+    baseline
+  );
+  assert.deepEqual(result.flags, ["lowEstimate_below_baseline"]);
+  assert.equal(result.lowEstimate, 215000);
+  assert.equal(result.multipleRange, "1.3x–2.0x SDE");
+});
+
+test("reconcileEstimates pulls a recommended price back inside the range", () => {
+  const result = reconcileEstimates(
+    { lowEstimate: 280000, highEstimate: 320000, recommendedPrice: 400000 },
+    baseline
+  );
+  assert.deepEqual(result.flags, ["recommended_outside_range"]);
+  assert.equal(result.recommendedPrice, 320000);
+});
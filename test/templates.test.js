@@ -0,0 +1,81 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { runValuation } from "../lib/valuationPipeline.js";
+import { createFakeProvider } from "../lib/llm.js";
+import { escapeHtml } from "../lib/templates/html.js";
+import {
+  renderValuationEmail,
+  renderValuationText,
+} from "../lib/templates/valuationEmail.js";
+import { renderFollowUpEmail, renderFollowUpText } from "../lib/templates/followUpEmail.js";
+
+const markup = {
+  businessType: `<b>Cafe</b> & "Bar"`,
+  location: `<img src=x onerror=alert(1)>`,
+  listingTitle: `<script>alert("x")</script> Café`,
+  bullet: `<i>Italic?</i>`,
+  note: `<a href="http://evil">Click</a> now`,
+};
+
+const input = {
+  businessType: markup.businessType,
+  location: markup.location,
+  region: "AU",
+  annualProfit: 160000,
+  addBacks: {},
+};
+
+const reply = {
+  lowEstimate: 260000,
+  highEstimate: 380000,
+  recommendedPrice: 320000,
+  multipleRange: "1.6x–2.4x SDE",
+  confidence: "medium",
+  sellTime: "4–9 months",
+  notes: `${markup.note}\nSteady trade.`,
+  improvementIdeas: "Document systems.",
+  listingTitle: markup.listingTitle,
+  listingIntro: "A well-established café.",
+  listingBullets: [markup.bullet, "Fish & chips"],
+  imageCategory: "cafe",
+};
+
+async function reportData() {
+  const { valuation } = await runValuation(input, {
+    provider: createFakeProvider(reply),
+  });
+  return {
+    input,
+    valuation,
+    issuedAt: new Date(),
+    reportUrl: "https://example.com/report",
+    unsubscribeUrl: "https://example.com/unsubscribe",
+  };
+}
+
+const INJECTED = /<(b|i|script|img|a)[\s>]/i;
+// The raw markup, as it would appear unescaped
+const RAW_MARKUP = /<script>|<b>Cafe|<i>Italic|<img src=x|<a href="http:\/\/evil"/;
+
+test("the HTML report escapes markup from the form and the model", async () => {
+  const page = renderValuationEmail(await reportData());
+  for (const value of Object.values(markup)) {
+    assert.ok(page.includes(escapeHtml(value)), value);
+  }
+  assert.doesNotMatch(page, RAW_MARKUP);
+});
+
+test("the text report has no injected tags", async () => {
+  const text = renderValuationText(await reportData());
+  assert.doesNotMatch(text, INJECTED);
+  assert.match(text, /Cafe & "Bar"/);
+  assert.match(text, /alert\("x"\) Café/);
+  assert.match(text, /- Italic\?/);
+  assert.match(text, /Click now/);
+});
+
+test("follow-ups escape the same fields", async () => {
+  const data = { step: "ready_to_list", ...(await reportData()) };
+  assert.doesNotMatch(renderFollowUpEmail(data), RAW_MARKUP);
+  assert.doesNotMatch(renderFollowUpText(data), INJECTED);
+});
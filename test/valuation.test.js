@@ -0,0 +1,85 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryStore, setStore } from "../lib/store.js";
+import { createMemoryAbuseStore, setAbuseStore } from "../lib/abuse.js";
+import { createFakeProvider, setLlmProvider } from "../lib/llm.js";
+import handler from "../api/valuation.js";
+
+const reply = {
+  lowEstimate: 260000,
+  highEstimate: 380000,
+  recommendedPrice: 320000,
+  multipleRange: "1.6x–2.4x SDE",
+  confidence: "medium",
+  sellTime: "4–9 months",
+  notes: "Steady trade.",
+  improvementIdeas: "Document systems.",
+  listingTitle: "Busy café",
+  listingIntro: "A well-established café.",
+  listingBullets: ["Eight years trading"],
+  imageCategory: "cafe",
+};
+
+function post() {
+  return {
+    method: "POST",
+    headers: { "x-forwarded-for": "1.1.1.1" },
+    query: {},
+    body: {
+      businessType: "Cafe",
+      location: "Surry Hills NSW",
+      annualProfit: "160k",
+      sendEmail: false,
+      responseMode: "json",
+    },
+  };
+}
+
+function mockResponse() {
+  return {
+    statusCode: 200,
+    body: null,
+    setHeader() {},
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+beforeEach(() => {
+  setStore(createMemoryStore());
+  setLlmProvider(createFakeProvider(() => reply));
+});
+
+test("a valuation goes ahead when the abuse store is down", async () => {
+  const down = async () => {
+    throw new Error("KV unreachable");
+  };
+  setAbuseStore({ increment: down, get: down, set: down, setIfAbsent: down, remove: down });
+
+  const res = mockResponse();
+  await handler(post(), res);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.ok, true);
+});
+
+test("a failure to record the finished submission still returns the valuation", async () => {
+  const store = createMemoryAbuseStore();
+  setAbuseStore({
+    ...store,
+    set: async () => {
+      throw new Error("KV unreachable");
+    },
+  });
+
+  const res = mockResponse();
+  await handler(post(), res);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.ok, true);
+  assert.equal(res.body.valuation.source, "llm");
+});
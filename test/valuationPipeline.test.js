@@ -0,0 +1,89 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { runValuation } from "../lib/valuationPipeline.js";
+import { createFakeProvider, requestValuation } from "../lib/llm.js";
+
+const input = {
+  businessType: "Cafe",
+  location: "Surry Hills NSW",
+  region: "AU",
+  annualRevenue: 850000,
+  annualProfit: 160000,
+  yearsOperating: 8,
+  staffCount: 6,
+  addBacks: {},
+};
+
+const reply = {
+  lowEstimate: 260000,
+  highEstimate: 380000,
+  recommendedPrice: 320000,
+  multipleRange: "1.6x–2.4x SDE",
+  confidence: "medium",
+  sellTime: "4–9 months",
+  notes: "Steady trade.\nStaff in place.",
+  improvementIdeas: "Document systems.\nExtend the lease.",
+  listingTitle: "Busy neighbourhood café",
+  listingIntro: "A well-established café with loyal regulars.",
+  listingBullets: ["Eight years trading", "Team of six", "Strong weekday trade"],
+  imageCategory: "cafe",
+};
+
+test("runValuation uses the model's reply, normalised", async () => {
+  const provider = createFakeProvider(reply);
+  const { valuation, llmOutput, llm } = await runValuation(input, { provider });
+
+  assert.equal(provider.calls.length, 1);
+  assert.match(provider.calls[0].messages[0].content, /Business type: Cafe/);
+  assert.equal(valuation.source, "llm");
+  assert.equal(valuation.currency, "AUD");
+  assert.equal(valuation.confidence, "Medium");
+  assert.equal(valuation.recommendedPrice, 320000);
+  assert.equal(valuation.chosenCategory, "cafe");
+  assert.deepEqual(llmOutput, reply);
+  assert.equal(llm.attempts.at(-1).ok, true);
+});
+
+test("runValuation repairs an invalid reply on the next attempt", async () => {
+  const provider = createFakeProvider([{ lowEstimate: "lots" }, reply]);
+  const { valuation, llm } = await runValuation(input, { provider });
+
+  assert.equal(provider.calls.length, 2);
+  assert.match(provider.calls[1].messages.at(-1).content, /did not match/);
+  assert.equal(valuation.source, "llm");
+  assert.equal(llm.attempts.length, 2);
+});
+
+test("runValuation falls back to the rule-based engine when the model fails", async () => {
+  const provider = createFakeProvider(new Error("API down"));
+  const { valuation, llmOutput } = await runValuation(input, { provider });
+
+  assert.equal(valuation.source, "fallback");
+  assert.equal(llmOutput, null);
+  assert.ok(valuation.lowEstimate > 0);
+  assert.ok(valuation.lowEstimate <= valuation.recommendedPrice);
+  assert.ok(valuation.recommendedPrice <= valuation.highEstimate);
+});
+
+test("runValuation adds prompt rules from an experiment variant", async () => {
+  const provider = createFakeProvider(reply);
+  await runValuation(input, { provider, promptRules: ["Say hello."] });
+  assert.match(provider.calls[0].messages[0].content, /- Say hello\.\n/);
+});
+
+test("requestValuation stops at the overall deadline", async () => {
+  const hanging = createFakeProvider(() => new Promise(() => {}));
+  const started = Date.now();
+  await assert.rejects(
+    requestValuation({
+      prompt: "value this",
+      categories: ["cafe"],
+      provider: hanging,
+      timeoutMs: 100,
+      totalTimeoutMs: 250,
+      backoffMs: 10,
+    }),
+    { name: "LlmError" }
+  );
+  assert.ok(Date.now() - started < 400);
+});
@@ -0,0 +1,119 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { createMemoryStore, setStore } from "../lib/store.js";
+import { createStoreJobQueue, setJobQueue, runDueJobs } from "../lib/jobQueue.js";
+import {
+  deliverWebhook,
+  sendLeadWebhooks,
+  listDeadLetters,
+  verifyWebhookSignature,
+  signPayload,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  DELIVERY_HEADER,
+} from "../lib/webhooks.js";
+
+const SECRET = "test-secret";
+const payload = { event: "valuation.created", id: "abc123" };
+
+// Receiver that answers with the next queued status (200 once they run out)
+// and records what it got
+let server;
+let baseUrl;
+let statuses = [];
+const received = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = statuses.shift() ?? 200;
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+function freshStore() {
+  const store = createMemoryStore();
+  setStore(store);
+  setJobQueue(createStoreJobQueue(store));
+  received.length = 0;
+  statuses = [];
+  return store;
+}
+
+test("deliverWebhook sends a body the receiver can verify", async () => {
+  freshStore();
+  const result = await deliverWebhook({ url: `${baseUrl}/hook`, secret: SECRET }, payload);
+
+  assert.equal(result.ok, true);
+  assert.equal(received.length, 1);
+  const { headers, body } = received[0];
+  assert.deepEqual(JSON.parse(body), payload);
+  assert.equal(headers[DELIVERY_HEADER], result.deliveryId);
+  const check = {
+    body,
+    signature: headers[SIGNATURE_HEADER],
+    timestamp: headers[TIMESTAMP_HEADER],
+    secret: SECRET,
+  };
+  assert.equal(verifyWebhookSignature(check), true);
+  assert.equal(verifyWebhookSignature({ ...check, body: body.replace("abc", "abd") }), false);
+  assert.equal(verifyWebhookSignature({ ...check, secret: "other" }), false);
+});
+
+test("verifyWebhookSignature rejects old timestamps", () => {
+  const body = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000) - 600;
+  assert.equal(
+    verifyWebhookSignature({
+      body,
+      timestamp,
+      signature: signPayload(body, SECRET, timestamp),
+      secret: SECRET,
+    }),
+    false
+  );
+});
+
+test("a failed first attempt is retried from the job queue", async () => {
+  freshStore();
+  statuses = [503];
+  const endpoints = [{ url: `${baseUrl}/hook`, secret: SECRET }];
+
+  const [first] = await sendLeadWebhooks(payload, { endpoints });
+  assert.equal(first.ok, false);
+  assert.equal(first.outcome, "retry_scheduled");
+
+  process.env.LEAD_WEBHOOK_URLS = `${baseUrl}/hook`;
+  process.env.LEAD_WEBHOOK_SECRET = SECRET;
+  try {
+    const summary = await runDueJobs({ now: new Date(Date.now() + 24 * 3600 * 1000) });
+    assert.equal(summary.done, 1);
+  } finally {
+    delete process.env.LEAD_WEBHOOK_URLS;
+    delete process.env.LEAD_WEBHOOK_SECRET;
+  }
+  assert.equal(received.length, 2);
+  assert.equal(received[1].headers[DELIVERY_HEADER], first.deliveryId);
+  assert.deepEqual(await listDeadLetters(), []);
+});
+
+test("a rejected delivery goes straight to the dead letters", async () => {
+  freshStore();
+  statuses = [400];
+  const endpoints = [{ url: `${baseUrl}/hook`, secret: SECRET }];
+
+  const [result] = await sendLeadWebhooks(payload, { endpoints });
+  assert.equal(result.outcome, "dead_letter");
+  const [letter] = await listDeadLetters();
+  assert.equal(letter.id, result.deliveryId);
+  assert.equal(letter.attempts[0].status, 400);
+});